@@ -0,0 +1,74 @@
+#!/usr/bin/env node
+// Measures how the HTML report scales with repository size, for the single-page
+// and split layouts, on synthetic files (JavaScript, ~1/3 of the lines uncovered).
+//
+//   node .github/actions/code-painting/bench/html-report-size.js [fileCount...] [--lines N]
+//
+// Only output sizes and the Node-side build time are measured; browser load and
+// parse time is not. "first load" is the bytes the browser has to fetch before
+// showing anything: the whole index.html for the single layout, the index plus the
+// largest file page when split.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { writeHtmlReport, fileMetrics } = require('../index');
+
+function syntheticFile(idx, lineCount) {
+  const sourceLines = [];
+  const lineHits = new Map();
+  for (let i = 1; i <= lineCount; i++) {
+    if (i % 10 === 1) {
+      sourceLines.push(`function helper${idx}_${i}(a, b) { // see "docs" <${i}>`);
+    } else {
+      sourceLines.push(`  const value${i} = a.items.filter((x) => x.id === ${i} && b > 0) ?? 'n/a';`);
+      lineHits.set(i, i % 3 === 0 ? 0 : i);
+    }
+  }
+  const f = {
+    relPath: `packages/pkg${idx % 20}/src/module${idx}.js`,
+    sourceLines,
+    lineHits,
+    branches: new Map(),
+    branchesFound: 0,
+    branchesHit: 0,
+    functions: new Map(),
+    functionsFound: 0,
+    functionsHit: 0,
+    statements: new Map(),
+    statementsFound: null,
+    statementsHit: null,
+    failingLines: new Set(),
+    lineTests: null,
+    fileCoveragePct: NaN,
+    summary: null,
+  };
+  f.metrics = fileMetrics(f);
+  return f;
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const linesAt = args.indexOf('--lines');
+  const lineCount = linesAt >= 0 ? Number(args.splice(linesAt, 2)[1]) : 300;
+  const counts = args.length ? args.map(Number) : [10, 50, 200];
+  const kb = (n) => `${(n / 1024).toFixed(0)} KB`;
+
+  console.log(`| files | lines/file | single: index.html | single: build | split: index.html | split: largest page | split: first load (bytes) | split: total | split: build |`);
+  console.log(`|---:|---:|---:|---:|---:|---:|---:|---:|---:|`);
+  for (const count of counts) {
+    const files = Array.from({ length: count }, (_, i) => syntheticFile(i, lineCount));
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'code-painting-bench-'));
+    try {
+      const single = writeHtmlReport(dir, { title: 'Bench', files, layout: 'single' });
+      const split = writeHtmlReport(dir, { title: 'Bench', files, layout: 'split' });
+      console.log(
+        `| ${count} | ${lineCount} | ${kb(single.indexBytes)} | ${single.buildMs} ms | ${kb(split.indexBytes)} | ` +
+          `${kb(split.largestPageBytes)} | ${kb(split.indexBytes + split.largestPageBytes)} | ${kb(split.totalBytes)} | ${split.buildMs} ms |`
+      );
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  }
+}
+
+main();
@@ -0,0 +1,125 @@
+// Small GitHub REST client for the action: follows Link pagination, retries 5xx
+// (except on POST) and rate-limited responses with backoff, and resolves every
+// path against GITHUB_API_URL so GitHub Enterprise Server works the same as github.com.
+// baseUrl (and fetch) can be pointed at a local mock server.
+
+const DEFAULT_API_URL = 'https://api.github.com';
+
+// A 5xx or a dropped connection may still have created the resource, so only these
+// are sent again; a POST is retried only when GitHub rate-limited it before doing anything
+const RETRYABLE_METHODS = new Set(['GET', 'PUT', 'PATCH', 'DELETE']);
+
+function nextPageUrl(linkHeader) {
+  // Link: <https://api.github.com/...&page=2>; rel="next", <...>; rel="last"
+  for (const part of (linkHeader || '').split(',')) {
+    const m = /<([^>]+)>\s*;\s*rel="?next"?/.exec(part);
+    if (m) return m[1];
+  }
+  return null;
+}
+
+function isRateLimited(status, headers, message) {
+  if (status === 429) return true;
+  if (status !== 403) return false;
+  return /secondary rate limit|abuse detection/i.test(message) || headers.get('retry-after') !== null || headers.get('x-ratelimit-remaining') === '0';
+}
+
+function retryDelayMs(headers, attempt, baseDelayMs) {
+  // Retry-After wins, then the primary rate limit reset time, then exponential backoff
+  const retryAfter = Number(headers?.get('retry-after'));
+  if (retryAfter > 0) return retryAfter * 1000;
+  if (headers?.get('x-ratelimit-remaining') === '0') {
+    const untilReset = Number(headers.get('x-ratelimit-reset')) * 1000 - Date.now();
+    if (untilReset > 0) return untilReset;
+  }
+  return baseDelayMs * 2 ** attempt;
+}
+
+function createGitHubClient({
+  token,
+  baseUrl = process.env.GITHUB_API_URL || DEFAULT_API_URL,
+  graphqlBaseUrl = process.env.GITHUB_GRAPHQL_URL || null,
+  maxRetries = 4,
+  baseDelayMs = 1000,
+  maxDelayMs = 60 * 1000,
+  timeoutMs = 30 * 1000,
+  fetch: fetchImpl = fetch,
+  sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms)),
+} = {}) {
+  const root = baseUrl.replace(/\/+$/, '');
+  // GitHub Enterprise Server serves REST under /api/v3 and GraphQL under /api/graphql
+  const graphqlUrl = graphqlBaseUrl || (/\/api\/v3$/.test(root) ? root.replace(/\/v3$/, '/graphql') : `${root}/graphql`);
+  const toUrl = (pathOrUrl) => (/^https?:\/\//.test(pathOrUrl) ? pathOrUrl : `${root}${pathOrUrl}`);
+
+  async function send(method, pathOrUrl, body) {
+    // -> { status, headers, data }
+    const url = toUrl(pathOrUrl);
+    for (let attempt = 0; ; attempt++) {
+      let res;
+      try {
+        res = await fetchImpl(url, {
+          method,
+          headers: {
+            Accept: 'application/vnd.github+json',
+            Authorization: `Bearer ${token}`,
+            'X-GitHub-Api-Version': '2022-11-28',
+            'Content-Type': 'application/json',
+          },
+          body: body ? JSON.stringify(body) : undefined,
+          signal: AbortSignal.timeout(timeoutMs),
+        });
+      } catch (err) {
+        // Connection resets, DNS hiccups and timeouts
+        if (!RETRYABLE_METHODS.has(method) || attempt >= maxRetries) throw new Error(`GitHub API ${method} ${url} failed: ${err.message}`);
+        const delay = Math.min(retryDelayMs(null, attempt, baseDelayMs), maxDelayMs);
+        console.log(`GitHub API ${method} ${url} failed (${err.message}); retrying in ${Math.ceil(delay / 1000)}s`);
+        await sleep(delay);
+        continue;
+      }
+
+      if (res.ok) {
+        const text = res.status === 204 ? '' : await res.text();
+        return { status: res.status, headers: res.headers, data: text ? JSON.parse(text) : null };
+      }
+
+      const message = await res.text();
+      const retryable = (res.status >= 500 && RETRYABLE_METHODS.has(method)) || isRateLimited(res.status, res.headers, message);
+      const delay = retryDelayMs(res.headers, attempt, baseDelayMs);
+      if (!retryable || attempt >= maxRetries || delay > maxDelayMs) {
+        throw new Error(`GitHub API error ${res.status} ${res.statusText}: ${message}`);
+      }
+      console.log(`GitHub API ${method} ${url} returned ${res.status}; retrying in ${Math.ceil(delay / 1000)}s`);
+      await sleep(delay);
+    }
+  }
+
+  return {
+    baseUrl: root,
+    async request(method, path, body) {
+      return (await send(method, path, body)).data;
+    },
+    async paginate(path) {
+      // All items of a list endpoint, following rel="next" links
+      const items = [];
+      let next = path;
+      while (next) {
+        const { headers, data } = await send('GET', next);
+        items.push(...(Array.isArray(data) ? data : []));
+        next = nextPageUrl(headers.get('link'));
+      }
+      return items;
+    },
+    async graphql(query, variables = {}) {
+      // GraphQL reports most failures with a 200 status and an errors array
+      const { data } = await send('POST', graphqlUrl, { query, variables });
+      if (data?.errors?.length) throw new Error(`GitHub GraphQL error: ${data.errors.map((e) => e.message).join('; ')}`);
+      return data.data;
+    },
+  };
+}
+
+module.exports = {
+  DEFAULT_API_URL,
+  createGitHubClient,
+  nextPageUrl,
+};
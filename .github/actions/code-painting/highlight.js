@@ -0,0 +1,149 @@
+// Small JavaScript / TypeScript / JSON tokenizer for syntax highlighting in the
+// painted code. Bundled with the action so reports work offline; it only has to
+// be good enough to colour code, not to parse it (JSX text, for instance, is not
+// recognised).
+
+const KEYWORDS = new Set([
+  'abstract', 'as', 'async', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger',
+  'declare', 'default', 'delete', 'do', 'else', 'enum', 'export', 'extends', 'finally', 'for', 'from',
+  'function', 'get', 'if', 'implements', 'import', 'in', 'infer', 'instanceof', 'interface', 'is', 'keyof',
+  'let', 'namespace', 'new', 'of', 'private', 'protected', 'public', 'readonly', 'return', 'satisfies', 'set',
+  'static', 'switch', 'throw', 'try', 'type', 'typeof', 'var', 'void', 'while', 'with', 'yield',
+]);
+const LITERALS = new Set(['true', 'false', 'null', 'undefined', 'NaN', 'Infinity', 'this', 'super']);
+// After these keywords a "/" starts a regular expression rather than a division
+const REGEX_AFTER_KEYWORDS = new Set(['return', 'typeof', 'instanceof', 'in', 'of', 'new', 'delete', 'void', 'throw', 'case', 'do', 'else', 'yield', 'await']);
+
+const LANGUAGES = {
+  '.js': 'js', '.mjs': 'js', '.cjs': 'js', '.jsx': 'js',
+  '.ts': 'js', '.mts': 'js', '.cts': 'js', '.tsx': 'js',
+  '.json': 'json',
+};
+
+const WHITESPACE = /\s+/y;
+const LINE_COMMENT = /\/\/[^\n]*|^#![^\n]*/y;
+const BLOCK_COMMENT = /\/\*[\s\S]*?(?:\*\/|$)/y;
+const STRING = /'(?:[^'\\\n]|\\[\s\S])*'?|"(?:[^"\\\n]|\\[\s\S])*"?/y;
+const NUMBER = /(?:0[xX][\da-fA-F_]+|0[bB][01_]+|0[oO][0-7_]+|(?:\d[\d_]*(?:\.[\d_]*)?|\.\d[\d_]*)(?:[eE][+-]?\d+)?)n?/y;
+const IDENTIFIER = /#?[A-Za-z_$\u00C0-\uFFFF][\w$\u00C0-\uFFFF]*/y;
+const REGEX = /\/(?![*/])(?:[^/\\[\n]|\\.|\[(?:[^\]\\\n]|\\.)*\])+\/[a-z]*/y;
+
+function languageFor(filePath) {
+  const ext = /\.[^./\\]+$/.exec(filePath);
+  return (ext && LANGUAGES[ext[0].toLowerCase()]) || null;
+}
+
+function tokenize(source, language) {
+  // -> [{ type, text }]; type is null for punctuation, operators, whitespace and plain identifiers
+  const tokens = [];
+  const push = (type, text) => {
+    const last = tokens[tokens.length - 1];
+    if (type === null && last && last.type === null) last.text += text;
+    else tokens.push({ type, text });
+  };
+  const match = (re, at) => {
+    re.lastIndex = at;
+    const m = re.exec(source);
+    return m && m[0].length ? m[0] : null;
+  };
+
+  const templateDepths = []; // brace depth at which each open `${` started
+  let depth = 0;
+  let prev = null; // 'operand' | 'operator' | keyword text; decides whether "/" starts a regex
+  let i = 0;
+
+  const readTemplate = () => {
+    // source[i] is "`" (template start) or "}" (end of an interpolation)
+    let j = i + 1;
+    while (j < source.length) {
+      if (source[j] === '\\') {
+        j += 2;
+      } else if (source[j] === '`') {
+        j++;
+        prev = 'operand';
+        break;
+      } else if (source[j] === '$' && source[j + 1] === '{') {
+        j += 2;
+        templateDepths.push(depth);
+        depth++;
+        prev = 'operator';
+        break;
+      } else {
+        j++;
+      }
+    }
+    push('string', source.slice(i, j));
+    i = j;
+  };
+
+  while (i < source.length) {
+    const c = source[i];
+    let text;
+    if ((text = match(WHITESPACE, i))) {
+      push(null, text);
+    } else if ((text = match(LINE_COMMENT, i) || match(BLOCK_COMMENT, i))) {
+      push('comment', text);
+    } else if (c === '`') {
+      readTemplate();
+      continue;
+    } else if (c === '}' && templateDepths.length && templateDepths[templateDepths.length - 1] === depth - 1) {
+      templateDepths.pop();
+      depth--;
+      readTemplate();
+      continue;
+    } else if ((text = match(STRING, i))) {
+      push('string', text);
+      prev = 'operand';
+    } else if (/[\d.]/.test(c) && (text = match(NUMBER, i))) {
+      push('number', text);
+      prev = 'operand';
+    } else if ((text = match(IDENTIFIER, i))) {
+      let type = null;
+      if (KEYWORDS.has(text) && source[i - 1] !== '.') type = 'keyword';
+      else if (LITERALS.has(text)) type = 'literal';
+      else if (/^\s*\(/.test(source.slice(i + text.length, i + text.length + 40))) type = 'function';
+      push(type, text);
+      prev = type === 'keyword' ? text : 'operand';
+    } else if (c === '/' && (prev === null || prev === 'operator' || REGEX_AFTER_KEYWORDS.has(prev)) && (text = match(REGEX, i))) {
+      push('regex', text);
+      prev = 'operand';
+    } else {
+      text = c;
+      if (c === '{') depth++;
+      else if (c === '}') depth = Math.max(0, depth - 1);
+      push(null, text);
+      prev = c === ')' || c === ']' || c === '}' ? 'operand' : 'operator';
+    }
+    i += text.length;
+  }
+
+  if (language === 'json') {
+    // Object keys are strings followed by ":"
+    tokens.forEach((t, idx) => {
+      if (t.type !== 'string') return;
+      const next = tokens[idx + 1];
+      if (next && next.type === null && /^\s*:/.test(next.text)) t.type = 'property';
+    });
+  }
+  return tokens;
+}
+
+function tokenizeLines(source, language) {
+  // -> one [{ type, text }] array per source line, or null for unsupported languages
+  if (!language) return null;
+  const lines = [[]];
+  for (const t of tokenize(source, language)) {
+    const parts = t.text.split('\n');
+    parts.forEach((part, idx) => {
+      if (idx > 0) lines.push([]);
+      if (part) lines[lines.length - 1].push({ type: t.type, text: part.replace(/\r$/, '') });
+    });
+  }
+  return lines;
+}
+
+module.exports = {
+  languageFor,
+  tokenize,
+  tokenizeLines,
+};
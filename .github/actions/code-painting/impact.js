@@ -0,0 +1,106 @@
+#!/usr/bin/env node
+// Test impact analysis built on the per-test coverage map (test-map.json) that the
+// action writes next to report.json when per-test-coverage is given.
+//
+//   node .github/actions/code-painting/impact.js --map code-painting-report/test-map.json --base origin/main
+//   node .github/actions/code-painting/impact.js --map test-map.json --files src/a.js,src/b.js
+//
+// --base selects the tests that executed the lines changed since the merge base
+// with <ref>; --files selects every test that executed any line of the given files.
+// The map was recorded on the old tree, so changed lines are looked up by their old
+// line numbers, and deleted or renamed files select every test that ran them.
+// Prints JSON: { changedFiles, testFiles, unmappedFiles, runTestsByPath }.
+// runTestsByPath is empty when no test is affected (an empty --runTestsByPath
+// would run the whole suite). Changed test files are always selected; changed
+// files the map knows nothing about are listed in unmappedFiles.
+const fs = require('fs');
+const path = require('path');
+const { gitChangedOldLines } = require('./index');
+
+function parseArgs(argv) {
+  const args = { map: null, base: null, files: [], repo: process.env.GITHUB_WORKSPACE || process.cwd(), output: null };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = () => {
+      if (i + 1 >= argv.length) throw new Error(`Missing value for ${arg}`);
+      return argv[++i];
+    };
+    if (arg === '--map') args.map = value();
+    else if (arg === '--base') args.base = value();
+    else if (arg === '--files') args.files.push(...value().split(/[\r\n,]+/).map((x) => x.trim()).filter(Boolean));
+    else if (arg === '--repo') args.repo = value();
+    else if (arg === '--output') args.output = value();
+    else throw new Error(`Unknown argument: ${arg}`);
+  }
+  if (!args.map) throw new Error('--map <test-map.json> is required');
+  if (!args.base && args.files.length === 0) throw new Error('Give --base <ref> and/or --files <list>');
+  return args;
+}
+
+function shellQuote(s) {
+  return /^[\w@%+=:,./-]+$/.test(s) ? s : `'${s.replace(/'/g, `'\\''`)}'`;
+}
+
+function selectTests(testMap, changes) {
+  // changes: Map(relFile -> Set(lineNo) | null), null meaning "the whole file"
+  const testFiles = new Set();
+  const unmappedFiles = [];
+  const knownTestFiles = new Set(testMap.tests.map((t) => t.testFile));
+
+  for (const [rel, lines] of changes) {
+    if (knownTestFiles.has(rel)) {
+      testFiles.add(rel);
+      continue;
+    }
+    const byLine = testMap.files[rel];
+    if (!byLine) {
+      unmappedFiles.push(rel);
+      continue;
+    }
+    const lineKeys = lines === null ? Object.keys(byLine) : [...lines].map(String).filter((l) => l in byLine);
+    for (const l of lineKeys) {
+      for (const idx of byLine[l]) testFiles.add(testMap.tests[idx].testFile);
+    }
+  }
+
+  return { testFiles: [...testFiles].sort(), unmappedFiles: unmappedFiles.sort() };
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const testMap = JSON.parse(fs.readFileSync(path.resolve(args.repo, args.map), 'utf8'));
+  if (testMap.version !== 1) throw new Error(`Unsupported test map version: ${testMap.version}`);
+
+  const changes = new Map();
+  if (args.base) {
+    for (const [rel, lines] of gitChangedOldLines(args.repo, args.base)) changes.set(rel, lines);
+  }
+  for (const f of args.files) {
+    const rel = path.relative(args.repo, path.resolve(args.repo, f)).split(path.sep).join('/');
+    changes.set(rel, null);
+  }
+
+  // Deleted and renamed test files are in the map under paths that no longer exist
+  const { testFiles: selected, unmappedFiles } = selectTests(testMap, changes);
+  const testFiles = selected.filter((f) => fs.existsSync(path.resolve(args.repo, f)));
+  const result = {
+    changedFiles: [...changes.keys()].sort(),
+    testFiles,
+    unmappedFiles,
+    runTestsByPath: testFiles.length ? `--runTestsByPath ${testFiles.map(shellQuote).join(' ')}` : '',
+  };
+  const json = JSON.stringify(result, null, 2);
+  if (args.output) fs.writeFileSync(path.resolve(args.repo, args.output), json + '\n', 'utf8');
+  console.log(json);
+}
+
+module.exports = { parseArgs, selectTests };
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (err) {
+    console.error(err?.message || err);
+    process.exitCode = 1;
+  }
+}
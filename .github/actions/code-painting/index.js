@@ -1,6 +1,12 @@
 /* eslint-disable no-console */
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
+const { execFileSync } = require('child_process');
+const { pathToFileURL } = require('url');
+const { readSourceMap } = require('./sourcemap');
+const { languageFor, tokenizeLines } = require('./highlight');
+const { createGitHubClient } = require('./github');
 
 function inputEnvName(name) {
   return `INPUT_${name.toUpperCase().replace(/ /g, '_').replace(/-/g, '_')}`;
@@ -13,6 +19,7 @@ function getInput(name, def = '') {
 }
 
 function asNumber(v, def = 0) {
+  if (v === null || v === undefined || v === '') return def;
   const n = Number(v);
   return Number.isFinite(n) ? n : def;
 }
@@ -44,164 +51,1849 @@ function escapeHtml(s) {
     .replace(/'/g, '&#39;');
 }
 
-function normalizeToRepoRel(repoRoot, filePath) {
-  if (!filePath) return null;
+// Keys accepted in .codepainting.json (JSON only, YAML is not read). Leaf values name the expected type.
+const CONFIG_SCHEMA = {
+  title: 'string',
+  thresholds: {
+    lines: 'number',
+    branches: 'number',
+    functions: 'number',
+    statements: 'number',
+    file: 'number',
+    patch: 'number',
+    overrides: 'thresholdMap',
+  },
+  include: 'string[]',
+  exclude: 'string[]',
+  pathRewrites: 'rewrite[]',
+  maxFiles: 'number',
+  maxLinesPerFile: 'number',
+  contextLines: 'number',
+  commentsStrategy: 'strategy',
+  sourceMaps: 'boolean',
+  annotations: 'boolean',
+  maxAnnotations: 'number',
+  reviewComments: 'boolean',
+  maxReviewComments: 'number',
+  reportMode: 'reportMode',
+  htmlLayout: 'layout',
+  htmlSizeBudgetMb: 'number',
+  markers: 'markers',
+};
+
+const COMMENT_STRATEGIES = ['UPDATE', 'ADD', 'REMOVE'];
+// Where the summary goes on GitHub: a sticky PR comment or a check run on the head commit
+const REPORT_MODES = ['comment', 'check-run'];
+
+function validateConfigValue(value, type, keyPath, errors) {
+  const isPlainObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+  if (isPlainObject(type)) {
+    if (!isPlainObject(value)) {
+      errors.push(`"${keyPath}" must be an object`);
+      return;
+    }
+    for (const [k, v] of Object.entries(value)) {
+      const childPath = keyPath ? `${keyPath}.${k}` : k;
+      if (!(k in type)) {
+        errors.push(`Unknown key "${childPath}" (allowed: ${Object.keys(type).join(', ')})`);
+        continue;
+      }
+      validateConfigValue(v, type[k], childPath, errors);
+    }
+    return;
+  }
+
+  switch (type) {
+    case 'string':
+      if (typeof value !== 'string') errors.push(`"${keyPath}" must be a string`);
+      break;
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) errors.push(`"${keyPath}" must be a number`);
+      break;
+    case 'boolean':
+      if (typeof value !== 'boolean') errors.push(`"${keyPath}" must be true or false`);
+      break;
+    case 'string[]':
+      if (!Array.isArray(value) || value.some((v) => typeof v !== 'string')) errors.push(`"${keyPath}" must be an array of strings`);
+      break;
+    case 'strategy':
+      if (typeof value !== 'string' || !COMMENT_STRATEGIES.includes(value.toUpperCase())) {
+        errors.push(`"${keyPath}" must be one of ${COMMENT_STRATEGIES.join(', ')}`);
+      }
+      break;
+    case 'layout':
+      if (typeof value !== 'string' || !HTML_LAYOUTS.includes(value)) errors.push(`"${keyPath}" must be one of ${HTML_LAYOUTS.join(', ')}`);
+      break;
+    case 'reportMode':
+      if (typeof value !== 'string' || !REPORT_MODES.includes(value)) errors.push(`"${keyPath}" must be one of ${REPORT_MODES.join(', ')}`);
+      break;
+    case 'markers':
+      if (typeof value !== 'string' || !MARKER_STYLES.includes(value)) errors.push(`"${keyPath}" must be one of ${MARKER_STYLES.join(', ')}`);
+      break;
+    case 'thresholdMap':
+      // { "<glob>": { "<metric>": <pct> } }
+      if (!isPlainObject(value)) {
+        errors.push(`"${keyPath}" must be an object mapping globs to thresholds`);
+        break;
+      }
+      for (const [glob, metrics] of Object.entries(value)) {
+        validateConfigValue(
+          metrics,
+          { lines: 'number', branches: 'number', functions: 'number', statements: 'number' },
+          `${keyPath}.${glob}`,
+          errors
+        );
+      }
+      break;
+    case 'rewrite[]':
+      if (!Array.isArray(value)) {
+        errors.push(`"${keyPath}" must be an array`);
+        break;
+      }
+      // Each rule is either a prefix rewrite { from, to } or a regex rewrite { pattern, replacement }
+      value.forEach((rule, i) => {
+        const rulePath = `${keyPath}[${i}]`;
+        if (rule && typeof rule === 'object' && 'pattern' in rule) {
+          validateConfigValue(rule, { pattern: 'string', replacement: 'string' }, rulePath, errors);
+          try {
+            new RegExp(rule.pattern);
+          } catch (err) {
+            errors.push(`"${rulePath}.pattern" is not a valid regular expression: ${err.message}`);
+          }
+        } else {
+          validateConfigValue(rule, { from: 'string', to: 'string' }, rulePath, errors);
+        }
+      });
+      break;
+    default:
+      throw new Error(`Unhandled config type ${type}`);
+  }
+}
+
+function loadConfig(configPath) {
+  if (/\.ya?ml$/i.test(configPath)) throw new Error(`Config file ${configPath} must be JSON; YAML config files are not supported`);
+  let raw;
+  try {
+    raw = JSON.parse(readText(configPath));
+  } catch (err) {
+    throw new Error(`Could not parse config file ${configPath}: ${err.message}`);
+  }
+  const errors = [];
+  validateConfigValue(raw, CONFIG_SCHEMA, '', errors);
+  if (errors.length) {
+    throw new Error(`Invalid config file ${configPath}:\n${errors.map((e) => `  - ${e}`).join('\n')}`);
+  }
+  return raw;
+}
+
+function getListInput(name) {
+  // Newline- or comma-separated; null when the input was not given at all
+  const v = getInput(name, '');
+  if (v === '') return null;
+  return v
+    .split(/[\r\n,]+/)
+    .map((x) => x.trim())
+    .filter(Boolean);
+}
+
+function resolveSettings(config) {
+  // Precedence: action input > config file > built-in default
+  const t = config.thresholds || {};
+  const numberSetting = (inputName, configValue, def) => {
+    const v = getInput(inputName, '');
+    if (v !== '') return asNumber(v, def);
+    return configValue ?? def;
+  };
+  const booleanSetting = (inputName, configValue, def) => {
+    const v = getInput(inputName, '');
+    if (v !== '') return v.toLowerCase() === 'true';
+    return configValue ?? def;
+  };
+
+  const lines = numberSetting('coverage-threshold', t.lines, 80);
+  const overridesInput = getInput('threshold-overrides', '');
+  const overrides = overridesInput
+    ? parseThresholdOverrides(overridesInput)
+    : Object.entries(t.overrides || {}).flatMap(([pattern, metrics]) =>
+        Object.entries(metrics).map(([metric, threshold]) => ({ pattern, metric, threshold }))
+      );
+
+  return {
+    title: getInput('title', config.title ?? 'Code Painting'),
+    commentsStrategy: getInput('comments-strategy', config.commentsStrategy ?? 'UPDATE').toUpperCase(),
+    reportMode: getInput('report-mode', config.reportMode ?? 'comment').toLowerCase(),
+    thresholds: {
+      lines,
+      branches: numberSetting('branch-threshold', t.branches, null),
+      functions: numberSetting('function-threshold', t.functions, null),
+      statements: numberSetting('statement-threshold', t.statements, null),
+      file: numberSetting('file-threshold', t.file, null),
+      patch: numberSetting('patch-coverage-threshold', t.patch, lines),
+    },
+    overrides,
+    include: getListInput('include') ?? config.include ?? [],
+    exclude: getListInput('exclude') ?? config.exclude ?? [],
+    pathRewrites: parsePathRewrites(getInput('path-rewrites', '')) ?? config.pathRewrites ?? [],
+    maxFiles: numberSetting('max-files', config.maxFiles, 5),
+    maxLinesPerFile: numberSetting('max-lines-per-file', config.maxLinesPerFile, 50),
+    contextLines: numberSetting('context-lines', config.contextLines, 3),
+    sourceMaps: booleanSetting('source-maps', config.sourceMaps, true),
+    annotations: booleanSetting('annotations', config.annotations, false),
+    maxAnnotations: numberSetting('max-annotations', config.maxAnnotations, 10),
+    reviewComments: booleanSetting('review-comments', config.reviewComments, false),
+    maxReviewComments: numberSetting('max-review-comments', config.maxReviewComments, 20),
+    htmlLayout: getInput('html-layout', config.htmlLayout ?? 'auto').toLowerCase(),
+    htmlSizeBudgetMb: numberSetting('html-size-budget', config.htmlSizeBudgetMb, 5),
+    markers: getInput('markers', config.markers ?? 'emoji').toLowerCase(),
+  };
+}
+
+function validateSettings(settings) {
+  // The config file was checked by loadConfig; this catches bad action inputs before any work is done
+  const oneOf = (value, allowed, name) => {
+    if (!allowed.includes(value)) throw new Error(`Invalid ${name} "${value}" (expected one of ${allowed.join(', ')})`);
+  };
+  oneOf(settings.commentsStrategy, COMMENT_STRATEGIES, 'comments-strategy');
+  oneOf(settings.reportMode, REPORT_MODES, 'report-mode');
+  oneOf(settings.htmlLayout, HTML_LAYOUTS, 'html-layout');
+  oneOf(settings.markers, MARKER_STYLES, 'markers');
+  return settings;
+}
+
+function isIncluded(relPath, { include, exclude }) {
+  if (include.length && !include.some((g) => matchesGlob(relPath, g))) return false;
+  return !exclude.some((g) => matchesGlob(relPath, g));
+}
+
+function parsePathRewrites(text) {
+  // One rule per line: "<prefix> => <replacement>" or "/<regex>/ => <replacement>" ($1 etc. allowed)
+  if (!text) return null;
+  const rules = [];
+  for (const raw of text.split(/\r?\n/)) {
+    const line = raw.trim();
+    if (!line || line.startsWith('#')) continue;
+    const sep = line.indexOf('=>');
+    if (sep < 0) throw new Error(`Invalid path-rewrites entry (expected "<from> => <to>"): ${line}`);
+    const from = line.slice(0, sep).trim();
+    const to = line.slice(sep + 2).trim();
+    const regex = /^\/(.+)\/$/.exec(from);
+    rules.push(regex ? { pattern: regex[1], replacement: to } : { from, to });
+  }
+  return rules;
+}
+
+function describePathRewrite(rule) {
+  return 'pattern' in rule ? `/${rule.pattern}/ => ${rule.replacement}` : `${rule.from} => ${rule.to}`;
+}
+
+function applyPathRewrites(filePath, rewrites) {
+  // First matching rule wins; returns the rewritten path and the rule that produced it
   const norm = filePath.replace(/\\/g, '/');
+  for (const rule of rewrites) {
+    if ('pattern' in rule) {
+      const re = new RegExp(rule.pattern);
+      if (re.test(norm)) return { path: norm.replace(re, rule.replacement), rule };
+    } else if (norm.startsWith(rule.from)) {
+      return { path: rule.to + norm.slice(rule.from.length), rule };
+    }
+  }
+  return { path: norm, rule: null };
+}
+
+function normalizeToRepoRel(repoRoot, filePath, rewrites = [], baseDir = '') {
+  // Returns a repo-relative posix path, or null when the path cannot be placed
+  // inside the repository. No guessing: add a path rewrite rule instead.
+  // baseDir (repo-relative) anchors relative paths that no rewrite rule touched.
+  if (!filePath) return null;
+  const { path: norm, rule } = applyPathRewrites(filePath, rewrites);
   const rootNorm = repoRoot.replace(/\\/g, '/').replace(/\/+$/, '');
 
   if (norm.startsWith(rootNorm + '/')) return norm.slice(rootNorm.length + 1);
+  if (path.posix.isAbsolute(norm) || /^[A-Za-z]:\//.test(norm) || /^[a-z]+:/.test(norm)) return null;
+
+  // Relative paths (Jest writes SF: relative to its rootDir) are taken relative to baseDir
+  const rel = path.posix.normalize(path.posix.join(rule ? '' : baseDir, norm)).replace(/^\.\//, '');
+  if (rel === '..' || rel.startsWith('../')) return null;
+  return rel;
+}
 
-  // Heuristic: keep from '/src/' if present
-  const srcIdx = norm.lastIndexOf('/src/');
-  if (srcIdx >= 0) return norm.slice(srcIdx + 1); // drop leading slash
+function createPathMapper(repoRoot, rewrites = []) {
+  // Resolves coverage source paths and remembers every resolution, so that
+  // unresolved paths and collisions can be reported instead of silently lost.
+  const sources = new Map(); // baseDir + source path -> { source, baseDir, path, rule }
 
-  // Heuristic: keep from '/tests/' if present
-  const testsIdx = norm.lastIndexOf('/tests/');
-  if (testsIdx >= 0) return norm.slice(testsIdx + 1);
+  function resolve(sourcePath, baseDir = '') {
+    return normalizeToRepoRel(repoRoot, sourcePath, rewrites, baseDir);
+  }
+
+  function map(sourcePath, baseDir = '') {
+    const key = `${baseDir}\0${sourcePath}`;
+    if (!sources.has(key)) {
+      const { rule } = applyPathRewrites(sourcePath, rewrites);
+      sources.set(key, {
+        source: sourcePath,
+        baseDir: baseDir || null,
+        path: resolve(sourcePath, baseDir),
+        rule: rule ? describePathRewrite(rule) : null,
+      });
+    }
+    return sources.get(key).path;
+  }
 
-  // Fallback: filename only
-  return path.posix.basename(norm);
+  function entries() {
+    return [...sources.values()].map((m) => ({ ...m }));
+  }
+
+  function unresolved() {
+    return entries().filter((e) => e.path === null).map((e) => e.source);
+  }
+
+  function collisions() {
+    const byPath = new Map();
+    for (const e of entries()) {
+      if (e.path === null) continue;
+      if (!byPath.has(e.path)) byPath.set(e.path, []);
+      byPath.get(e.path).push(e.source);
+    }
+    return [...byPath].filter(([, srcs]) => srcs.length > 1).map(([p, srcs]) => ({ path: p, sources: srcs }));
+  }
+
+  return { resolve, map, entries, unresolved, collisions };
 }
 
-function parseLcov(lcovText, repoRoot) {
-  const fileLineHits = new Map(); // relFile -> Map(lineNo -> hits)
-  let currentFile = null;
-  let currentLines = null;
+// Per-file coverage record shared by every input format (LCOV, Cobertura, Istanbul JSON)
+function createCoverageRecord() {
+  return {
+    lineHits: new Map(), // lineNo -> hits
+    branches: new Map(), // lineNo -> [{ block, branch, taken, loc? }]
+    branchesFound: null,
+    branchesHit: null,
+    functions: new Map(), // name -> { name, line, hits }
+    functionsFound: null,
+    functionsHit: null,
+    statements: new Map(), // "l:c-l:c" -> { start, end, hits } (Istanbul JSON only)
+    statementsFound: null,
+    statementsHit: null,
+  };
+}
+
+function finalizeCoverageRecord(rec) {
+  // Not every producer writes BRF/BRH or FNF/FNH; fall back to counting BRDA / FN records
+  const all = [...rec.branches.values()].flat();
+  if (rec.branchesFound === null) rec.branchesFound = all.length;
+  if (rec.branchesHit === null) rec.branchesHit = all.filter((b) => b.taken > 0).length;
+  const fns = [...rec.functions.values()];
+  if (rec.functionsFound === null) rec.functionsFound = fns.length;
+  if (rec.functionsHit === null) rec.functionsHit = fns.filter((fn) => fn.hits > 0).length;
+  // Statements are only known when the format carries them
+  if (rec.statements.size > 0) {
+    rec.statementsFound = rec.statements.size;
+    rec.statementsHit = [...rec.statements.values()].filter((st) => st.hits > 0).length;
+  }
+  return rec;
+}
+
+function mergeCoverageRecord(target, source) {
+  // Sum hits per line, union branches (by block/branch id) and functions (by name)
+  for (const [lineNo, hits] of source.lineHits) {
+    target.lineHits.set(lineNo, (target.lineHits.get(lineNo) ?? 0) + hits);
+  }
+  for (const [lineNo, branches] of source.branches) {
+    const merged = target.branches.get(lineNo) || [];
+    for (const b of branches) {
+      const same = merged.find((m) => m.block === b.block && m.branch === b.branch);
+      if (same) same.taken += b.taken;
+      else merged.push({ ...b });
+    }
+    target.branches.set(lineNo, merged);
+  }
+  for (const [name, fn] of source.functions) {
+    const same = target.functions.get(name);
+    if (same) {
+      same.hits += fn.hits;
+      if (same.line === null) same.line = fn.line;
+    } else {
+      target.functions.set(name, { ...fn });
+    }
+  }
+  for (const [key, st] of source.statements) {
+    const same = target.statements.get(key);
+    if (same) same.hits += st.hits;
+    else target.statements.set(key, { ...st });
+  }
+
+  // Counts are recomputed from the merged detail records; summing BRH/FNH would
+  // double-count branches and functions that several runs hit.
+  target.branchesFound = null;
+  target.branchesHit = null;
+  target.functionsFound = null;
+  target.functionsHit = null;
+  return finalizeCoverageRecord(target);
+}
+
+function mergeCoverageMaps(target, source) {
+  for (const [relPath, rec] of source) {
+    if (target.has(relPath)) mergeCoverageRecord(target.get(relPath), rec);
+    else target.set(relPath, rec);
+  }
+  return target;
+}
+
+function remapCoverageRecord(generatedRel, rec, consumer, pathMapper) {
+  // Projects a generated file's record onto its original sources -> Map(relFile -> record).
+  // Generated lines without a mapping (bundler runtime, helpers) are dropped.
+  const sourceRels = consumer.sources.map((s) => pathMapper.map(s));
+  const out = new Map();
+  const target = (sourceIndex) => {
+    const rel = sourceRels[sourceIndex];
+    if (rel === null || rel === undefined) return null;
+    if (!out.has(rel)) out.set(rel, createCoverageRecord());
+    return out.get(rel);
+  };
+  const firstLine = (lineNo) => consumer.originalLinesFor(lineNo)[0] || null;
+  const mapLoc = (loc) => {
+    if (!loc) return null;
+    const start = consumer.originalPositionFor(loc.start.line, asNumber(loc.start.column, 0));
+    if (!start) return null;
+    const end = Number.isFinite(loc.end?.column) ? consumer.originalPositionFor(loc.end.line, loc.end.column) : null;
+    const sameSource = end && end.sourceIndex === start.sourceIndex && end.line >= start.line;
+    return {
+      sourceIndex: start.sourceIndex,
+      start: { line: start.line, column: start.column },
+      end: sameSource ? { line: end.line, column: end.column } : { line: start.line, column: null },
+    };
+  };
+
+  for (const [lineNo, hits] of rec.lineHits) {
+    // A minified line maps to many original lines; each ran if the generated line did
+    for (const orig of consumer.originalLinesFor(lineNo)) {
+      const r = target(orig.sourceIndex);
+      if (r) r.lineHits.set(orig.line, Math.max(r.lineHits.get(orig.line) ?? 0, hits));
+    }
+  }
+  for (const [lineNo, branches] of rec.branches) {
+    for (const b of branches) {
+      const loc = mapLoc(b.loc);
+      const orig = loc || firstLine(lineNo);
+      const r = orig && target(orig.sourceIndex);
+      if (!r) continue;
+      const origLine = loc ? loc.start.line : orig.line;
+      if (!r.branches.has(origLine)) r.branches.set(origLine, []);
+      // Block ids are only unique within one generated file
+      r.branches.get(origLine).push({
+        block: `${generatedRel}#${b.block}`,
+        branch: b.branch,
+        taken: b.taken,
+        ...(b.loc ? { loc: loc && { start: loc.start, end: loc.end } } : {}),
+      });
+    }
+  }
+  for (const fn of rec.functions.values()) {
+    const orig = fn.line === null ? null : firstLine(fn.line);
+    const r = orig && target(orig.sourceIndex);
+    if (r) r.functions.set(fn.name, { ...fn, line: orig.line });
+  }
+  for (const st of rec.statements.values()) {
+    const loc = mapLoc(st);
+    const r = loc && target(loc.sourceIndex);
+    if (r) r.statements.set(istanbulLocKey(loc), { start: loc.start, end: loc.end, hits: st.hits });
+  }
+
+  for (const r of out.values()) finalizeCoverageRecord(r);
+  return out;
+}
+
+function parseLcov(lcovText, pathMapper, baseDir = '') {
+  const fileRecords = new Map(); // relFile -> record (see createCoverageRecord)
+  let current = null;
+  let currentRel = null;
+
+  const flush = () => {
+    if (current) mergeCoverageMaps(fileRecords, new Map([[currentRel, finalizeCoverageRecord(current)]]));
+    current = null;
+    currentRel = null;
+  };
 
   const lines = lcovText.split(/\r?\n/);
   for (const raw of lines) {
     if (raw.startsWith('SF:')) {
+      flush();
       const sf = raw.slice(3).trim();
-      const rel = normalizeToRepoRel(repoRoot, sf);
-      currentFile = rel;
-      if (!fileLineHits.has(rel)) fileLineHits.set(rel, new Map());
-      currentLines = fileLineHits.get(rel);
+      const rel = pathMapper.map(sf, baseDir);
+      if (rel === null) continue; // unresolved; reported by the caller via pathMapper.unresolved()
+      current = createCoverageRecord();
+      currentRel = rel;
       continue;
     }
-    if (raw.startsWith('DA:') && currentFile && currentLines) {
+    if (raw.startsWith('DA:') && current) {
       const rest = raw.slice(3);
       const [lineStr, hitsStr] = rest.split(',');
       const lineNo = Number(lineStr);
       const hits = Number(hitsStr);
-      if (Number.isFinite(lineNo) && Number.isFinite(hits)) currentLines.set(lineNo, hits);
+      if (Number.isFinite(lineNo) && Number.isFinite(hits)) current.lineHits.set(lineNo, hits);
+      continue;
+    }
+    if (raw.startsWith('BRDA:') && current) {
+      // BRDA:<line>,<block>,<branch>,<taken> where taken is '-' when the block never ran
+      const [lineStr, block, branch, takenStr] = raw.slice(5).split(',');
+      const lineNo = Number(lineStr);
+      if (!Number.isFinite(lineNo)) continue;
+      const taken = takenStr === '-' ? 0 : asNumber(takenStr, 0);
+      if (!current.branches.has(lineNo)) current.branches.set(lineNo, []);
+      current.branches.get(lineNo).push({ block, branch, taken });
+      continue;
+    }
+    if (raw.startsWith('FN:') && current) {
+      // FN:<line>,<name> — names may themselves contain commas
+      const rest = raw.slice(3);
+      const comma = rest.indexOf(',');
+      const lineNo = Number(rest.slice(0, comma));
+      const name = rest.slice(comma + 1);
+      if (comma < 0 || !Number.isFinite(lineNo)) continue;
+      const fn = current.functions.get(name) || { name, line: lineNo, hits: 0 };
+      fn.line = lineNo;
+      current.functions.set(name, fn);
+      continue;
+    }
+    if (raw.startsWith('FNDA:') && current) {
+      // FNDA:<hits>,<name>
+      const rest = raw.slice(5);
+      const comma = rest.indexOf(',');
+      if (comma < 0) continue;
+      const name = rest.slice(comma + 1);
+      const fn = current.functions.get(name) || { name, line: null, hits: 0 };
+      fn.hits = asNumber(rest.slice(0, comma), 0);
+      current.functions.set(name, fn);
+      continue;
+    }
+    if (raw.startsWith('FNF:') && current) {
+      current.functionsFound = asNumber(raw.slice(4), 0);
+      continue;
+    }
+    if (raw.startsWith('FNH:') && current) {
+      current.functionsHit = asNumber(raw.slice(4), 0);
+      continue;
+    }
+    if (raw.startsWith('BRF:') && current) {
+      current.branchesFound = asNumber(raw.slice(4), 0);
+      continue;
+    }
+    if (raw.startsWith('BRH:') && current) {
+      current.branchesHit = asNumber(raw.slice(4), 0);
       continue;
     }
     if (raw === 'end_of_record') {
-      currentFile = null;
-      currentLines = null;
+      flush();
     }
   }
+  flush();
 
-  return fileLineHits;
+  return fileRecords;
 }
 
-function parseJestFailureLocations(jestJson, repoRoot) {
-  const fileToLines = new Map(); // relFile -> Set(lineNo)
-  if (!jestJson || typeof jestJson !== 'object') return fileToLines;
+function unescapeXml(s) {
+  return s
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, n) => String.fromCodePoint(Number(n)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, n) => String.fromCodePoint(parseInt(n, 16)))
+    .replace(/&amp;/g, '&');
+}
+
+function parseXmlAttributes(text) {
+  const attrs = {};
+  const re = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+  let m;
+  while ((m = re.exec(text)) !== null) attrs[m[1]] = unescapeXml(m[2] ?? m[3]);
+  return attrs;
+}
+
+function parseCobertura(xmlText, pathMapper, repoRoot, baseDir = '') {
+  // Only the elements we need: <source>, <class filename>, <method name>, <line number hits branch condition-coverage>.
+  // Class-level <lines> already list every method line, so method lines only name functions.
+  const xml = xmlText.replace(/<!--[\s\S]*?-->/g, '');
+  const sources = [...xml.matchAll(/<source>([\s\S]*?)<\/source>/g)].map((m) => unescapeXml(m[1].trim())).filter(Boolean);
+
+  const resolveFilename = (filename) => {
+    // <source> roots are tried in order; the first that lands on a real repo file wins
+    const candidates =
+      path.isAbsolute(filename) || sources.length === 0
+        ? [filename]
+        : sources.map((src) => path.posix.join(src.replace(/\\/g, '/'), filename.replace(/\\/g, '/')));
+    const hit = candidates.find((c) => {
+      const rel = pathMapper.resolve(c, baseDir);
+      return rel !== null && exists(path.resolve(repoRoot, rel));
+    });
+    return pathMapper.map(hit || candidates[0], baseDir);
+  };
+
+  const fileRecords = new Map();
+  let current = null;
+  let currentRel = null;
+  let method = null;
+
+  const flush = () => {
+    if (current && currentRel !== null) mergeCoverageMaps(fileRecords, new Map([[currentRel, finalizeCoverageRecord(current)]]));
+    current = null;
+    currentRel = null;
+  };
+
+  const tagRe = /<(\/?)([A-Za-z][\w:.-]*)\b([^>]*?)(\/?)>/g;
+  let m;
+  while ((m = tagRe.exec(xml)) !== null) {
+    const [, closing, name, attrText] = m;
+    if (name === 'class' && !closing) {
+      flush();
+      const attrs = parseXmlAttributes(attrText);
+      current = createCoverageRecord();
+      currentRel = attrs.filename ? resolveFilename(attrs.filename) : null;
+    } else if (name === 'class' && closing) {
+      flush();
+    } else if (name === 'method' && !closing && current) {
+      const attrs = parseXmlAttributes(attrText);
+      method = { name: attrs.name || '(anonymous)', line: null, hits: 0 };
+    } else if (name === 'method' && closing && current && method) {
+      current.functions.set(method.name, method);
+      method = null;
+    } else if (name === 'line' && !closing && current) {
+      const attrs = parseXmlAttributes(attrText);
+      const lineNo = Number(attrs.number);
+      const hits = asNumber(attrs.hits, 0);
+      if (!Number.isFinite(lineNo)) continue;
+      if (method) {
+        if (method.line === null) {
+          method.line = lineNo;
+          method.hits = hits;
+        }
+        continue;
+      }
+      current.lineHits.set(lineNo, (current.lineHits.get(lineNo) ?? 0) + hits);
+      // condition-coverage="50% (1/2)" — Cobertura only counts branches, so synthesize taken/not-taken entries
+      const cond = attrs.branch === 'true' && /\((\d+)\/(\d+)\)/.exec(attrs['condition-coverage'] || '');
+      if (cond) {
+        const taken = Number(cond[1]);
+        const total = Number(cond[2]);
+        const branches = [];
+        for (let i = 0; i < total; i++) branches.push({ block: 'cobertura', branch: String(i), taken: i < taken ? 1 : 0 });
+        current.branches.set(lineNo, branches);
+      }
+    }
+  }
+  flush();
+
+  return fileRecords;
+}
+
+function istanbulLocKey(loc) {
+  return `${loc.start.line}:${loc.start.column}-${loc.end.line}:${loc.end.column}`;
+}
 
-  const failureTexts = [];
+function parseIstanbulJson(json, pathMapper, baseDir = '') {
+  // coverage-final.json: { [file]: { path, statementMap, s, fnMap, f, branchMap, b } }
+  const fileRecords = new Map();
+  for (const [key, fc] of Object.entries(json || {})) {
+    const rel = pathMapper.map(fc.path || key, baseDir);
+    if (rel === null) continue;
+    const rec = createCoverageRecord();
+
+    for (const [id, loc] of Object.entries(fc.statementMap || {})) {
+      const hits = asNumber(fc.s?.[id], 0);
+      rec.statements.set(istanbulLocKey(loc), { start: loc.start, end: loc.end, hits });
+      // Same rule as Istanbul's own LCOV output: a line's hits are its busiest statement's
+      const lineNo = loc.start.line;
+      rec.lineHits.set(lineNo, Math.max(rec.lineHits.get(lineNo) ?? 0, hits));
+    }
+
+    for (const [id, br] of Object.entries(fc.branchMap || {})) {
+      const lineNo = br.loc?.start?.line ?? br.locations?.[0]?.start?.line ?? br.line;
+      if (!Number.isFinite(lineNo)) continue;
+      const counts = fc.b?.[id] || [];
+      // Arms of if/switch are whole statements, already painted per statement;
+      // expression-level arms (a ? b : c, a || b, default args) get column highlights.
+      const expressionLevel = br.type !== 'if' && br.type !== 'switch';
+      const branches = (br.locations || []).map((loc, i) => ({
+        block: id,
+        branch: String(i),
+        taken: asNumber(counts[i], 0),
+        loc: expressionLevel && Number.isFinite(loc?.start?.column) ? loc : null,
+      }));
+      rec.branches.set(lineNo, [...(rec.branches.get(lineNo) || []), ...branches]);
+    }
+
+    for (const [id, fn] of Object.entries(fc.fnMap || {})) {
+      const lineNo = fn.decl?.start?.line ?? fn.loc?.start?.line ?? fn.line ?? null;
+      rec.functions.set(fn.name, { name: fn.name, line: lineNo, hits: asNumber(fc.f?.[id], 0) });
+    }
+
+    mergeCoverageMaps(fileRecords, new Map([[rel, finalizeCoverageRecord(rec)]]));
+  }
+  return fileRecords;
+}
+
+function uncoveredColumnRanges(f, lineNo, lineLength) {
+  // Column ranges on lineNo belonging to statements / expression branches that never ran
+  const ranges = [];
+  const add = (loc) => {
+    if (!loc || loc.start.line > lineNo || loc.end.line < lineNo) return;
+    const start = loc.start.line === lineNo ? asNumber(loc.start.column, 0) : 0;
+    const end = loc.end.line === lineNo && Number.isFinite(loc.end.column) ? loc.end.column : lineLength;
+    if (end > start) ranges.push({ start, end: Math.min(end, lineLength) });
+  };
+  for (const st of f.statements?.values() || []) if (st.hits === 0) add(st);
+  for (const branches of f.branches?.values() || []) {
+    for (const b of branches) if (b.taken === 0) add(b.loc);
+  }
+
+  ranges.sort((a, b) => a.start - b.start);
+  const merged = [];
+  for (const r of ranges) {
+    const last = merged[merged.length - 1];
+    if (last && r.start <= last.end) last.end = Math.max(last.end, r.end);
+    else merged.push({ ...r });
+  }
+  return merged;
+}
+
+// Inline colours for syntax tokens where no stylesheet is available (step summary)
+const TOKEN_COLORS = {
+  keyword: '#c678dd',
+  literal: '#d19a66',
+  string: '#98c379',
+  number: '#d19a66',
+  regex: '#56b6c2',
+  comment: '#7f848e',
+  function: '#61afef',
+  property: '#e06c75',
+};
+
+function renderCodeWithRanges(line, ranges, tokens = null, { inlineStyles = false } = {}) {
+  // tokens: syntax tokens of this line ([{ type, text }]) or null for plain text.
+  // Tokens are cut at uncovered-range boundaries so both can be nested per piece.
+  const parts = tokens || [{ type: null, text: line }];
+  let html = '';
+  let col = 0;
+  let inRange = false;
+  for (const tok of parts) {
+    const tokEnd = col + tok.text.length;
+    let pos = col;
+    while (pos < tokEnd) {
+      let next = tokEnd;
+      for (const r of ranges) {
+        if (r.start > pos && r.start < next) next = r.start;
+        if (r.end > pos && r.end < next) next = r.end;
+      }
+      let piece = escapeHtml(tok.text.slice(pos - col, next - col));
+      if (tok.type && inlineStyles) piece = `<span style="color: ${TOKEN_COLORS[tok.type]};">${piece}</span>`;
+      else if (tok.type) piece = `<span class="tok-${tok.type}">${piece}</span>`;
+      const pieceInRange = ranges.some((r) => pos >= r.start && pos < r.end);
+      if (pieceInRange !== inRange) html += pieceInRange ? '<span class="uncovered-expr" title="never executed">' : '</span>';
+      inRange = pieceInRange;
+      html += piece;
+      pos = next;
+    }
+    col = tokEnd;
+  }
+  return inRange ? `${html}</span>` : html;
+}
+
+function highlightFile(f) {
+  // Per-line syntax tokens, or null when the language is not supported
+  return tokenizeLines(f.sourceLines.join('\n'), languageFor(f.relPath));
+}
+
+function coverageProjectDir(repoRoot, reportPath) {
+  // Jest writes relative source paths against its rootDir, i.e. the package that
+  // owns the report: the nearest ancestor with a package.json, up to the repo root.
+  let dir = path.dirname(reportPath);
+  while (dir.startsWith(repoRoot + path.sep)) {
+    if (exists(path.join(dir, 'package.json'))) return path.relative(repoRoot, dir).split(path.sep).join('/');
+    dir = path.dirname(dir);
+  }
+  return '';
+}
+
+function expandGlob(repoRoot, pattern) {
+  // Walks from the longest wildcard-free prefix; .git and node_modules are never descended into
+  const norm = pattern.replace(/\\/g, '/');
+  const segments = norm.split('/');
+  const firstWild = segments.findIndex((seg) => /[*?]/.test(seg));
+  if (firstWild < 0) return [path.resolve(repoRoot, norm)];
+
+  const baseDir = path.resolve(repoRoot, segments.slice(0, firstWild).join('/') || '.');
+  const re = globToRegExp(path.isAbsolute(norm) ? norm : path.posix.join(repoRoot.split(path.sep).join('/'), norm));
+  const matches = [];
+  const walk = (dir) => {
+    let entries;
+    try {
+      entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch {
+      return;
+    }
+    for (const e of entries) {
+      const abs = path.join(dir, e.name);
+      if (e.isDirectory()) {
+        if (e.name !== '.git' && e.name !== 'node_modules') walk(abs);
+      } else if (re.test(abs.split(path.sep).join('/'))) {
+        matches.push(abs);
+      }
+    }
+  };
+  walk(baseDir);
+  return matches.sort();
+}
+
+function resolveInputPaths(repoRoot, spec) {
+  // spec: newline- or comma-separated list of paths and/or globs
+  const patterns = spec
+    .split(/[\r\n,]+/)
+    .map((x) => x.trim())
+    .filter(Boolean);
+  return [...new Set(patterns.flatMap((p) => expandGlob(repoRoot, p)))];
+}
+
+function totalsFromRecords(records) {
+  // Statements stay unknown (pct: null) unless some input carried statement data
+  const metric = (covered, total) => ({ total, covered, skipped: 0, pct: total > 0 ? Number(((covered / total) * 100).toFixed(2)) : 100 });
+  let linesCovered = 0;
+  let linesTotal = 0;
+  let branchesHit = 0;
+  let branchesFound = 0;
+  let functionsHit = 0;
+  let functionsFound = 0;
+  let statementsHit = 0;
+  let statementsFound = 0;
+  let hasStatements = false;
+  for (const rec of records.values()) {
+    linesTotal += rec.lineHits.size;
+    linesCovered += [...rec.lineHits.values()].filter((h) => h > 0).length;
+    branchesFound += rec.branchesFound;
+    branchesHit += rec.branchesHit;
+    functionsFound += rec.functionsFound;
+    functionsHit += rec.functionsHit;
+    if (rec.statementsFound !== null) {
+      hasStatements = true;
+      statementsFound += rec.statementsFound;
+      statementsHit += rec.statementsHit;
+    }
+  }
+  return {
+    lines: metric(linesCovered, linesTotal),
+    branches: metric(branchesHit, branchesFound),
+    functions: metric(functionsHit, functionsFound),
+    statements: hasStatements ? metric(statementsHit, statementsFound) : { total: null, covered: null, skipped: 0, pct: null },
+  };
+}
+
+// Per-line markers of the markdown painting; "ascii" is for terminals and email clients.
+// "not-instrumented" marks context lines without coverage data (blank lines, comments, braces).
+const LINE_INDICATORS = {
+  emoji: { 'covered-pass': '✅', 'covered-partial': '🟡', 'covered-fail': '⚠️', uncovered: '❌', 'not-instrumented': '⬜' },
+  ascii: { 'covered-pass': '+', 'covered-partial': '~', 'covered-fail': '!', uncovered: '-', 'not-instrumented': '.' },
+};
+const MARKER_STYLES = Object.keys(LINE_INDICATORS);
+
+// Decorative emoji and typographic symbols of the markdown summary, replaced in ASCII mode
+const ASCII_REPLACEMENTS = [
+  [/(?:🎨|📄|🧩|📈|💡|🆕|🗑️|▲|▼) ?/gu, ''],
+  [/[—–−]/g, '-'],
+  [/≥/g, '>='],
+  [/±/g, '+/-'],
+  [/Δ/g, 'Delta'],
+];
+
+function toAsciiMarkdown(markdown) {
+  // Code blocks hold the painted source, which is left as it is
+  let inCode = false;
+  return markdown
+    .split('\n')
+    .map((line) => {
+      if (line.startsWith('```')) inCode = !inCode;
+      if (inCode) return line;
+      return ASCII_REPLACEMENTS.reduce((text, [re, replacement]) => text.replace(re, replacement), line);
+    })
+    .join('\n');
+}
+
+function uncoveredFunctions(f) {
+  return [...(f.functions?.values() || [])]
+    .filter((fn) => fn.hits === 0)
+    .sort((a, b) => (a.line ?? 0) - (b.line ?? 0));
+}
+
+function paintLine(f, lineNo, markers = 'emoji') {
+  const hits = f.lineHits?.get(lineNo) ?? 0;
+  const isCovered = hits > 0;
+  const branches = f.branches?.get(lineNo) || [];
+  const branchTotal = branches.length;
+  const branchTaken = branches.filter((b) => b.taken > 0).length;
+
+  let state = 'uncovered';
+  if (isCovered && f.failingLines?.has(lineNo)) state = 'covered-fail';
+  else if (isCovered && branchTaken < branchTotal) state = 'covered-partial';
+  else if (isCovered) state = 'covered-pass';
+
+  const tooltip = branchTotal > 0 ? `${branchTaken} of ${branchTotal} branches taken` : '';
+  const indicator = LINE_INDICATORS[markers][f.lineHits?.has(lineNo) ? state : 'not-instrumented'];
+  return { hits, state, indicator, branchTotal, branchTaken, tooltip };
+}
+
+function parseJestFailureFrames(jestJson, pathMapper) {
+  // -> [{ path, line, column, test, message }] for every repo stack frame of every failure
+  const frames = [];
+  if (!jestJson || typeof jestJson !== 'object') return frames;
+
+  const failures = []; // { test, text }
   const testResults = Array.isArray(jestJson.testResults) ? jestJson.testResults : [];
   for (const tr of testResults) {
     const assertionResults = Array.isArray(tr.assertionResults) ? tr.assertionResults : [];
     for (const ar of assertionResults) {
       const msgs = Array.isArray(ar.failureMessages) ? ar.failureMessages : [];
-      for (const m of msgs) failureTexts.push(String(m));
+      const test = ar.fullName || ar.title || null;
+      for (const m of msgs) failures.push({ test, text: String(m) });
     }
-    if (tr.message) failureTexts.push(String(tr.message));
+    if (tr.message) failures.push({ test: null, text: String(tr.message) });
   }
 
   const patterns = [
     /\(([^()]+):(\d+):(\d+)\)/g, // (path:line:col)
-    /at [^(]*\s+([^:\s]+):(\d+):(\d+)/g, // at ... path:line:col
+    /\bat (?:[^()\n]*\s)?([^()\s]+?):(\d+):(\d+)/g, // at [fn ]path:line:col, without the parens of pattern 1
   ];
 
-  for (const text of failureTexts) {
+  const seen = new Set();
+  for (const { test, text } of failures) {
+    // First non-empty line without ANSI colours, e.g. "expect(received).toBe(expected)"
+    const message = (text.replace(/\u001b\[[0-9;]*m/g, '').split('\n').find((l) => l.trim()) || '').trim();
     for (const re of patterns) {
       let m;
       while ((m = re.exec(text)) !== null) {
         const absOrRel = m[1];
         const lineNo = Number(m[2]);
         if (!Number.isFinite(lineNo)) continue;
-        const rel = normalizeToRepoRel(repoRoot, absOrRel);
-        if (!rel) continue;
-        if (!fileToLines.has(rel)) fileToLines.set(rel, new Set());
-        fileToLines.get(rel).add(lineNo);
+        // Not a path at all: stack-trace debris such as "(/tmp/x.js" or "<anonymous>"
+        if (/[\u0000-\u001f<>"|?*]/.test(absOrRel) || /^[\s(]|[\s)]$/.test(absOrRel)) continue;
+        // Stack frames outside the repo (node internals, other checkouts) are expected; skip quietly
+        const rel = pathMapper.resolve(absOrRel);
+        if (!rel || /(^|\/)node_modules\//.test(rel)) continue;
+        // One frame per test and location; tr.message repeats the assertion frames
+        // without a test name, so a suite-level copy of a location already seen is dropped
+        const location = `${rel}:${lineNo}:${m[3]}`;
+        const key = `${location}:${test ?? ''}`;
+        if (seen.has(key) || (test === null && seen.has(location))) continue;
+        seen.add(key);
+        seen.add(location);
+        frames.push({ path: rel, line: lineNo, column: Number(m[3]), test, message });
+      }
+    }
+  }
+
+  return frames;
+}
+
+function parseJestFailureLocations(jestJson, pathMapper) {
+  const fileToLines = new Map(); // relFile -> Set(lineNo)
+  for (const frame of parseJestFailureFrames(jestJson, pathMapper)) {
+    if (!fileToLines.has(frame.path)) fileToLines.set(frame.path, new Set());
+    fileToLines.get(frame.path).add(frame.line);
+  }
+  return fileToLines;
+}
+
+function parsePerTestCoverage(docs, pathMapper) {
+  // docs: [{ doc, baseDir }] as written by jest-per-test-environment.js
+  // -> { tests: [{ testFile, name, status }], lineTests: Map(relFile -> Map(lineNo -> [testIdx])) }
+  const tests = [];
+  const lineTests = new Map();
+  for (const { doc, baseDir } of docs) {
+    const testFile = pathMapper.resolve(doc.testFile, baseDir) ?? doc.testFile;
+    for (const t of Array.isArray(doc.tests) ? doc.tests : []) {
+      const idx = tests.push({ testFile, name: String(t.name), status: t.status === 'failed' ? 'failed' : 'passed' }) - 1;
+      for (const [source, lines] of Object.entries(t.lines || {})) {
+        const rel = pathMapper.map(source, baseDir);
+        if (rel === null) continue;
+        if (!lineTests.has(rel)) lineTests.set(rel, new Map());
+        const byLine = lineTests.get(rel);
+        for (const lineNo of lines) {
+          if (!byLine.has(lineNo)) byLine.set(lineNo, []);
+          byLine.get(lineNo).push(idx);
+        }
       }
     }
   }
+  return { tests, lineTests };
+}
+
+function failingLinesFromPerTest({ tests, lineTests }) {
+  // A line is "failing" only when a failing test actually executed it
+  const fileToLines = new Map();
+  for (const [rel, byLine] of lineTests) {
+    const lines = [...byLine].filter(([, idxs]) => idxs.some((i) => tests[i].status === 'failed')).map(([lineNo]) => lineNo);
+    if (lines.length) fileToLines.set(rel, new Set(lines));
+  }
+  return fileToLines;
+}
+
+function buildTestMap({ tests, lineTests }) {
+  // Per-test line coverage stored next to report.json for test impact analysis (impact.js)
+  const files = {};
+  for (const [rel, byLine] of [...lineTests].sort((a, b) => a[0].localeCompare(b[0]))) {
+    files[rel] = Object.fromEntries([...byLine].sort((a, b) => a[0] - b[0]));
+  }
+  return { version: 1, generatedAt: new Date().toISOString(), tests, files };
+}
+
+function parseUnifiedDiff(diffText, { includeDeletions = false } = {}) {
+  // includeDeletions also marks the lines around a pure deletion, which has no new-side lines
+  const fileToLines = new Map(); // relFile -> Set(lineNo) of added/modified lines (new side)
+  let currentLines = null;
+
+  for (const raw of diffText.split(/\r?\n/)) {
+    if (raw.startsWith('+++ ')) {
+      const target = raw.slice(4).trim();
+      if (target === '/dev/null') {
+        currentLines = null; // deleted file
+        continue;
+      }
+      const rel = target.replace(/^b\//, '');
+      if (!fileToLines.has(rel)) fileToLines.set(rel, new Set());
+      currentLines = fileToLines.get(rel);
+      continue;
+    }
+    // @@ -a[,b] +c[,d] @@ — with --unified=0 every hunk is exactly the changed lines
+    const hunk = /^@@ -\d+(?:,\d+)? \+(\d+)(?:,(\d+))? @@/.exec(raw);
+    if (hunk && currentLines) {
+      const start = Number(hunk[1]);
+      const count = hunk[2] === undefined ? 1 : Number(hunk[2]);
+      for (let i = 0; i < count; i++) currentLines.add(start + i);
+      if (count === 0 && includeDeletions) {
+        // "+c,0": the removed lines sat between new lines c and c+1
+        if (start > 0) currentLines.add(start);
+        currentLines.add(start + 1);
+      }
+    }
+  }
+
+  return fileToLines;
+}
+
+function gitHeadSha(repoRoot) {
+  return execFileSync('git', ['rev-parse', 'HEAD'], { cwd: repoRoot, encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'] }).trim();
+}
+
+function parseUnifiedDiffOldSide(diffText) {
+  // The same diff seen from the old tree, for data recorded before the change (test-map.json)
+  // -> Map(relFile -> Set(lineNo) | null); null means the whole file: deleted and renamed
+  // files (keyed on their old path) and added files. A pure insertion marks the old lines
+  // on either side of it.
+  const fileToLines = new Map();
+  let inHeader = false;
+  let oldPath = null;
+  let currentLines = null;
+  const wholeFile = (rel) => {
+    fileToLines.set(rel, null);
+    currentLines = null;
+  };
+
+  for (const raw of diffText.split(/\r?\n/)) {
+    if (raw.startsWith('diff --git ')) {
+      inHeader = true;
+      oldPath = null;
+      currentLines = null;
+      continue;
+    }
+    if (inHeader && raw.startsWith('rename from ')) {
+      // Pure renames (100% similar) have no ---/+++ lines at all
+      wholeFile(raw.slice('rename from '.length).trim());
+    } else if (inHeader && raw.startsWith('rename to ')) {
+      wholeFile(raw.slice('rename to '.length).trim());
+    } else if (inHeader && raw.startsWith('--- ')) {
+      const source = raw.slice(4).trim();
+      oldPath = source === '/dev/null' ? null : source.replace(/^a\//, '');
+    } else if (inHeader && raw.startsWith('+++ ')) {
+      const target = raw.slice(4).trim();
+      const newPath = target === '/dev/null' ? null : target.replace(/^b\//, '');
+      if (oldPath === null || newPath === null || oldPath !== newPath) {
+        for (const rel of [oldPath, newPath]) if (rel !== null) wholeFile(rel);
+      } else if (fileToLines.get(oldPath) !== null) {
+        if (!fileToLines.has(oldPath)) fileToLines.set(oldPath, new Set());
+        currentLines = fileToLines.get(oldPath);
+      }
+    }
+
+    // @@ -a[,b] +c[,d] @@ — lines a..a+b-1 were modified or removed
+    const hunk = /^@@ -(\d+)(?:,(\d+))? \+\d+(?:,\d+)? @@/.exec(raw);
+    if (!hunk) continue;
+    inHeader = false;
+    if (!currentLines) continue;
+    const start = Number(hunk[1]);
+    const count = hunk[2] === undefined ? 1 : Number(hunk[2]);
+    for (let i = 0; i < count; i++) currentLines.add(start + i);
+    if (count === 0) {
+      // "-a,0": the new lines went in after old line a
+      if (start > 0) currentLines.add(start);
+      currentLines.add(start + 1);
+    }
+  }
+
+  return fileToLines;
+}
+
+function gitDiff(repoRoot, baseRef) {
+  // Three-dot diff: only what this branch changed since it forked from baseRef
+  return execFileSync('git', ['diff', '--unified=0', '--no-color', '--no-ext-diff', `${baseRef}...HEAD`], {
+    cwd: repoRoot,
+    encoding: 'utf8',
+    maxBuffer: 256 * 1024 * 1024,
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+}
+
+function gitChangedLines(repoRoot, baseRef, options) {
+  return parseUnifiedDiff(gitDiff(repoRoot, baseRef), options);
+}
+
+function gitChangedOldLines(repoRoot, baseRef) {
+  return parseUnifiedDiffOldSide(gitDiff(repoRoot, baseRef));
+}
+
+function toLineRanges(lineNos, canBridge = null) {
+  // canBridge(from, to) may join ranges separated by lines that do not matter (e.g. non-instrumented)
+  const ranges = [];
+  for (const n of [...lineNos].sort((a, b) => a - b)) {
+    const last = ranges[ranges.length - 1];
+    if (last && (n === last.end + 1 || (canBridge && canBridge(last.end, n)))) last.end = n;
+    else ranges.push({ start: n, end: n });
+  }
+  return ranges;
+}
+
+function formatLineRanges(lineNos) {
+  return toLineRanges(lineNos)
+    .map((r) => (r.start === r.end ? String(r.start) : `${r.start}-${r.end}`))
+    .join(', ');
+}
+
+function isCoveredOnlyByFailingTests(f, lineNo, tests) {
+  // Without per-test coverage the best signal is a failing stack trace through the line
+  if (!f.lineTests) return f.failingLines.has(lineNo);
+  const idxs = f.lineTests.get(lineNo) || [];
+  return idxs.length > 0 && idxs.every((i) => tests[i].status === 'failed');
+}
+
+function notInstrumentedBetween(f) {
+  return (from, to) => {
+    for (let l = from + 1; l < to; l++) if (f.lineHits.has(l)) return false;
+    return true;
+  };
+}
+
+function paintingHunks(f, { context = 3, maxLines = Infinity } = {}) {
+  // Uncovered, partially covered and failing lines padded with `context` lines and merged
+  // like diff hunks, at most maxLines painted lines in total (the last hunk may be cut short)
+  // -> { hunks: [{ start, end, header }], missedCount, partialCount, failingCount, shownLines, totalLines }
+  const lineCount = f.sourceLines.length;
+  const missed = [...f.lineHits].filter(([, hits]) => hits === 0).map(([lineNo]) => lineNo);
+  const failing = [...f.lineHits].filter(([lineNo, hits]) => hits > 0 && f.failingLines?.has(lineNo)).map(([lineNo]) => lineNo);
+  const partial = [...f.lineHits.keys()].filter((lineNo) => paintLine(f, lineNo).state === 'covered-partial');
+  const padded = [];
+  for (const r of toLineRanges([...missed, ...partial, ...failing])) {
+    const start = Math.max(1, r.start - context);
+    const end = Math.min(lineCount, r.end + context);
+    const last = padded[padded.length - 1];
+    if (last && start <= last.end + 1) last.end = Math.max(last.end, end);
+    else if (start <= end) padded.push({ start, end, first: r.start });
+  }
+
+  // Like git's function context: the nearest function declared at or above the hunk's first gap
+  const fnLines = [...(f.functions?.values() || [])].filter((fn) => fn.line).sort((a, b) => a.line - b.line);
+  const hunks = [];
+  let shownLines = 0;
+  for (const r of padded) {
+    if (shownLines >= maxLines) break;
+    const end = Math.min(r.end, r.start + (maxLines - shownLines) - 1);
+    const fn = fnLines.filter((x) => x.line <= r.first).pop();
+    const range = end === r.start ? `${r.start}` : `${r.start}-${end}`;
+    hunks.push({ start: r.start, end, header: `@@ line ${range} @@${fn ? ` ${fn.name}` : ''}` });
+    shownLines += end - r.start + 1;
+  }
+  const totalLines = padded.reduce((n, r) => n + r.end - r.start + 1, 0);
+  return { hunks, missedCount: missed.length, partialCount: partial.length, failingCount: failing.length, shownLines, totalLines };
+}
+
+function selectPaintedFiles(files, { maxFiles = 5, maxLinesPerFile = 50, context = 3 } = {}) {
+  // Files with uncovered, partial or failing lines, most missed lines first
+  // -> { shown: [{ f, ...paintingHunks }], moreFiles }
+  const painted = files
+    .map((f) => ({ f, ...paintingHunks(f, { context, maxLines: maxLinesPerFile }) }))
+    .filter((p) => p.hunks.length > 0)
+    .sort((a, b) => b.missedCount - a.missedCount || b.failingCount - a.failingCount || b.partialCount - a.partialCount || a.f.relPath.localeCompare(b.f.relPath));
+  return { shown: painted.slice(0, maxFiles), moreFiles: Math.max(0, painted.length - maxFiles) };
+}
+
+function describePaintedFile({ missedCount, partialCount, failingCount, shownLines, totalLines }) {
+  // -> { counts: "12 uncovered, 2 failing lines", more: "showing 50 of 64 lines" | '' }
+  const parts = [];
+  if (missedCount) parts.push(`${missedCount} uncovered`);
+  if (partialCount) parts.push(`${partialCount} partial`);
+  if (failingCount) parts.push(`${failingCount} failing`);
+  return {
+    counts: `${parts.join(', ')} line${missedCount + partialCount + failingCount === 1 ? '' : 's'}`,
+    more: shownLines < totalLines ? `showing ${shownLines} of ${totalLines} lines` : '',
+  };
+}
+
+function buildWorkflowAnnotations({ files, changedLines, tests, maxPerLevel }) {
+  // Uncovered (warning) and failing-only (error) ranges on changed lines. GitHub
+  // keeps a limited number of annotations of each level per step, so the rest
+  // are only counted.
+  const byLevel = { error: [], warning: [] };
+  for (const f of files) {
+    const changed = changedLines.get(f.relPath);
+    if (!changed) continue;
+    const bridge = notInstrumentedBetween(f);
+    const lineLabel = (r) => (r.start === r.end ? `Line ${r.start}` : `Lines ${r.start}-${r.end}`);
+
+    const uncovered = [...changed].filter((l) => f.lineHits.get(l) === 0);
+    for (const r of toLineRanges(uncovered, bridge)) {
+      byLevel.warning.push({
+        level: 'warning',
+        file: f.relPath,
+        line: r.start,
+        endLine: r.end,
+        title: 'Uncovered code',
+        message: `${lineLabel(r)} ${r.start === r.end ? 'is' : 'are'} not covered by any test`,
+      });
+    }
+
+    const failingOnly = [...changed].filter((l) => f.lineHits.get(l) > 0 && isCoveredOnlyByFailingTests(f, l, tests));
+    for (const r of toLineRanges(failingOnly, bridge)) {
+      let message = `${lineLabel(r)} ${r.start === r.end ? 'is' : 'are'} only reached from failing tests`;
+      if (f.lineTests) {
+        const names = [...new Set((f.lineTests.get(r.start) || []).map((i) => tests[i].name))];
+        message += `: ${names.slice(0, 3).join('; ')}${names.length > 3 ? ` (+${names.length - 3} more)` : ''}`;
+      }
+      byLevel.error.push({ level: 'error', file: f.relPath, line: r.start, endLine: r.end, title: 'Code on failing test path', message });
+    }
+  }
+  return {
+    annotations: [...byLevel.error.slice(0, maxPerLevel), ...byLevel.warning.slice(0, maxPerLevel)],
+    dropped: {
+      error: Math.max(0, byLevel.error.length - maxPerLevel),
+      warning: Math.max(0, byLevel.warning.length - maxPerLevel),
+    },
+  };
+}
+
+function workflowCommand(command, properties, message) {
+  const escapeData = (v) => String(v).replace(/%/g, '%25').replace(/\r/g, '%0D').replace(/\n/g, '%0A');
+  const escapeProperty = (v) => escapeData(v).replace(/:/g, '%3A').replace(/,/g, '%2C');
+  const props = Object.entries(properties)
+    .filter(([, v]) => v !== undefined && v !== null)
+    .map(([k, v]) => `${k}=${escapeProperty(v)}`)
+    .join(',');
+  return `::${command}${props ? ` ${props}` : ''}::${escapeData(message)}`;
+}
+
+const SARIF_RULES = [
+  {
+    id: 'uncovered-code',
+    name: 'UncoveredCode',
+    shortDescription: { text: 'Uncovered code' },
+    fullDescription: { text: 'Instrumented lines that no test executed.' },
+    defaultConfiguration: { level: 'warning' },
+  },
+  {
+    id: 'failing-test-stack',
+    name: 'CodeOnFailingTestStack',
+    shortDescription: { text: 'Code on failing test stack' },
+    fullDescription: { text: 'Source locations that appear in the stack trace of a failing test.' },
+    defaultConfiguration: { level: 'error' },
+  },
+];
+
+function buildSarifReport({ files, failureFrames, repoRoot }) {
+  const result = (ruleIndex, message, uri, region) => ({
+    ruleId: SARIF_RULES[ruleIndex].id,
+    ruleIndex,
+    level: SARIF_RULES[ruleIndex].defaultConfiguration.level,
+    message: { text: message },
+    locations: [{ physicalLocation: { artifactLocation: { uri, uriBaseId: 'SRCROOT' }, region } }],
+  });
+
+  const results = [];
+  for (const f of files) {
+    const uncovered = [...f.lineHits].filter(([, hits]) => hits === 0).map(([lineNo]) => lineNo);
+    for (const r of toLineRanges(uncovered, notInstrumentedBetween(f))) {
+      const label = r.start === r.end ? `Line ${r.start} is` : `Lines ${r.start}-${r.end} are`;
+      results.push(
+        result(0, `${label} not covered by any test`, f.relPath, {
+          startLine: r.start,
+          startColumn: 1,
+          endLine: r.end,
+          endColumn: (f.sourceLines[r.end - 1] || '').length + 1,
+        })
+      );
+    }
+  }
+  for (const frame of failureFrames) {
+    const test = frame.test ? `Failing test "${frame.test}"` : 'A failing test suite';
+    const region = { startLine: frame.line };
+    if (Number.isFinite(frame.column) && frame.column > 0) region.startColumn = frame.column;
+    results.push(result(1, `${test} passes through this line${frame.message ? `: ${frame.message}` : ''}`, frame.path, region));
+  }
+
+  return {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [
+      {
+        tool: { driver: { name: 'code-painting', rules: SARIF_RULES } },
+        originalUriBaseIds: { SRCROOT: { uri: `${pathToFileURL(repoRoot).href.replace(/\/?$/, '/')}` } },
+        results,
+      },
+    ],
+  };
+}
+
+function computePatchCoverage(changedLines, records, threshold) {
+  // Only lines that are both changed and instrumented count; comments, blank
+  // lines and files without coverage data are not coverable.
+  const files = [];
+  let covered = 0;
+  let total = 0;
+  for (const [relPath, lines] of [...changedLines.entries()].sort((a, b) => a[0].localeCompare(b[0]))) {
+    const record = records.get(relPath);
+    if (!record) continue;
+    const coverable = [...lines].filter((n) => record.lineHits.has(n));
+    if (coverable.length === 0) continue;
+    const uncoveredLines = coverable.filter((n) => !(record.lineHits.get(n) > 0));
+    files.push({
+      path: relPath,
+      covered: coverable.length - uncoveredLines.length,
+      total: coverable.length,
+      uncoveredLines: uncoveredLines.sort((a, b) => a - b),
+    });
+    covered += coverable.length - uncoveredLines.length;
+    total += coverable.length;
+  }
+
+  // A change that touches no coverable lines cannot lower coverage, so it passes
+  const pct = total > 0 ? (covered / total) * 100 : null;
+  return {
+    covered,
+    total,
+    pct,
+    threshold,
+    status: pct === null || pct >= threshold ? 'PASS' : 'FAIL',
+    files,
+  };
+}
+
+function globToRegExp(glob) {
+  // Supports '**' (any number of path segments), '*' (within a segment) and '?'
+  let re = '';
+  for (let i = 0; i < glob.length; i++) {
+    const c = glob[i];
+    if (c === '*' && glob[i + 1] === '*') {
+      i++;
+      if (glob[i + 1] === '/') {
+        i++;
+        re += '(?:.*/)?';
+      } else {
+        re += '.*';
+      }
+    } else if (c === '*') {
+      re += '[^/]*';
+    } else if (c === '?') {
+      re += '[^/]';
+    } else {
+      re += c.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${re}$`);
+}
+
+function matchesGlob(relPath, glob) {
+  return globToRegExp(glob).test(relPath);
+}
+
+function parseThresholdOverrides(text) {
+  // One override per line: "<glob>: <metric>=<pct>[, <metric>=<pct>...]"
+  const overrides = [];
+  for (const raw of String(text || '').split(/\r?\n/)) {
+    const line = raw.trim();
+    if (!line || line.startsWith('#')) continue;
+    const sep = line.lastIndexOf(':');
+    if (sep <= 0) throw new Error(`Invalid threshold-overrides entry (expected "<glob>: <metric>=<pct>"): ${line}`);
+    const pattern = line.slice(0, sep).trim();
+    for (const pair of line.slice(sep + 1).split(',')) {
+      const [metric, value] = pair.split('=').map((x) => (x || '').trim());
+      if (!METRICS.some(([key]) => key === metric)) {
+        throw new Error(`Unknown metric "${metric}" in threshold-overrides entry: ${line}`);
+      }
+      const threshold = Number(value);
+      if (value === '' || !Number.isFinite(threshold)) {
+        throw new Error(`Invalid percentage "${value}" in threshold-overrides entry: ${line}`);
+      }
+      overrides.push({ pattern, metric, threshold });
+    }
+  }
+  return overrides;
+}
+
+function buildGateRules({ totals = {}, perFile = null, overrides = [] }) {
+  // totals: { lines: 80, branches: 70, ... } (missing metric = no rule)
+  // perFile: minimum line coverage every file must reach (null = no rule)
+  const rules = [];
+  for (const [key] of METRICS) {
+    if (Number.isFinite(totals[key])) rules.push({ id: `total-${key}`, scope: 'total', metric: key, threshold: totals[key] });
+  }
+  if (Number.isFinite(perFile)) rules.push({ id: 'file-lines', scope: 'file', metric: 'lines', threshold: perFile });
+  for (const o of overrides) {
+    rules.push({ id: `glob-${o.metric}-${o.pattern}`, scope: 'glob', pattern: o.pattern, metric: o.metric, threshold: o.threshold });
+  }
+  return rules;
+}
+
+function fileMetrics(f) {
+  // Prefer Jest's per-file summary; fall back to counts from the LCOV record.
+  // pct is null when a file has nothing to measure for that metric.
+  const fromSummary = (m) =>
+    m && Number.isFinite(Number(m.total))
+      ? { covered: asNumber(m.covered, 0), total: asNumber(m.total, 0), pct: m.total > 0 ? asNumber(m.pct, null) : null }
+      : null;
+  const fromCounts = (covered, total) => ({ covered, total, pct: total > 0 ? (covered / total) * 100 : null });
+  const s = f.summary || {};
+  return {
+    lines: fromSummary(s.lines) || fromCounts([...f.lineHits.values()].filter((h) => h > 0).length, f.lineHits.size),
+    branches: fromSummary(s.branches) || fromCounts(f.branchesHit ?? 0, f.branchesFound ?? 0),
+    functions: fromSummary(s.functions) || fromCounts(f.functionsHit ?? 0, f.functionsFound ?? 0),
+    statements:
+      fromSummary(s.statements) ||
+      (f.statementsFound !== null && f.statementsFound !== undefined
+        ? fromCounts(f.statementsHit, f.statementsFound)
+        : { covered: null, total: null, pct: null }),
+  };
+}
+
+function evaluateQualityGate({ metrics, files, rules }) {
+  const results = rules.map((rule) => {
+    if (rule.scope === 'total') {
+      // A metric the input format cannot measure (e.g. statements from LCOV) is reported but never fails
+      const value = asNumber(metrics[rule.metric]?.pct, null);
+      return { ...rule, value, status: value === null || value >= rule.threshold ? 'PASS' : 'FAIL', violations: [] };
+    }
+
+    // Per-file rules; a glob override for the same metric takes precedence over the global file minimum
+    const applies = (f) =>
+      rule.scope === 'glob'
+        ? matchesGlob(f.relPath, rule.pattern)
+        : !rules.some((r) => r.scope === 'glob' && r.metric === rule.metric && matchesGlob(f.relPath, r.pattern));
+    const checked = files
+      .filter(applies)
+      .map((f) => ({ path: f.relPath, value: f.metrics[rule.metric].pct }))
+      .filter((c) => c.value !== null);
+    const violations = checked.filter((c) => c.value < rule.threshold).sort((a, b) => a.value - b.value);
+    const value = checked.length ? Math.min(...checked.map((c) => c.value)) : null;
+    return {
+      ...rule,
+      value,
+      fileCount: checked.length,
+      status: violations.length ? 'FAIL' : 'PASS',
+      violations,
+      checks: checked.map((c) => ({ ...c, status: c.value < rule.threshold ? 'FAIL' : 'PASS' })),
+    };
+  });
+
+  const failed = results.filter((r) => r.status === 'FAIL');
+  return {
+    status: failed.length ? 'FAIL' : 'PASS',
+    rules: results,
+    violations: failed.map((r) => r.id),
+  };
+}
+
+function gateRuleLabel(rule) {
+  const metric = METRICS.find(([key]) => key === rule.metric)[1];
+  if (rule.scope === 'total') return `${metric} (total)`;
+  if (rule.scope === 'file') return `${metric} (each file)`;
+  return `${metric} (each file in ${rule.pattern})`;
+}
+
+function buildJUnitReport({ title, gate, patch }) {
+  // One <testsuite> per gate rule; per-file rules get one <testcase> per checked file
+  const testcase = (classname, name, value, threshold, skipReason = 'Not measured by the coverage inputs') => {
+    const attrs = `classname="${escapeHtml(classname)}" name="${escapeHtml(name)}"`;
+    if (value === null) return `    <testcase ${attrs}>\n      <skipped message="${escapeHtml(skipReason)}" />\n    </testcase>`;
+    if (value >= threshold) return `    <testcase ${attrs} />`;
+    const message = `${pctStr(value)}% is below the required ${threshold}%`;
+    return `    <testcase ${attrs}>\n      <failure type="threshold" message="${escapeHtml(message)}">actual: ${pctStr(value)}%\nrequired: ${threshold}%</failure>\n    </testcase>`;
+  };
+
+  const suites = gate.rules.map((rule) => {
+    const name = `${gateRuleLabel(rule)} >= ${rule.threshold}%`;
+    const cases =
+      rule.scope === 'total'
+        ? [testcase(`coverage.${rule.id}`, name, rule.value, rule.threshold)]
+        : rule.checks.map((c) => testcase(`coverage.${rule.id}`, c.path, c.value, rule.threshold));
+    return { name, cases };
+  });
+  if (patch) {
+    const name = `Patch coverage >= ${patch.threshold}%`;
+    const caseName = `${patch.covered} of ${patch.total} changed lines covered`;
+    suites.push({ name, cases: [testcase('coverage.patch', caseName, patch.pct, patch.threshold, 'No coverable lines changed')] });
+  }
+
+  const count = (cases, tag) => cases.filter((c) => c.includes(`<${tag} `)).length;
+  const all = suites.flatMap((s) => s.cases);
+  const body = suites
+    .map(
+      (s) =>
+        `  <testsuite name="${escapeHtml(s.name)}" tests="${s.cases.length}" failures="${count(s.cases, 'failure')}" skipped="${count(s.cases, 'skipped')}">\n${s.cases.join('\n')}\n  </testsuite>`
+    )
+    .join('\n');
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<testsuites name="${escapeHtml(`${title} quality gate`)}" tests="${all.length}" failures="${count(all, 'failure')}" skipped="${count(all, 'skipped')}">
+${body}
+</testsuites>
+`;
+}
+
+function readCoverageSummary(summaryPath) {
+  const raw = JSON.parse(readText(summaryPath));
+  const total = raw.total || {};
+
+  const metrics = {
+    lines: total.lines || {},
+    branches: total.branches || {},
+    functions: total.functions || {},
+    statements: total.statements || {},
+  };
+
+  // Per-file is keyed by path in Jest output; keep as-is
+  const perFile = {};
+  for (const [k, v] of Object.entries(raw)) {
+    if (k === 'total') continue;
+    perFile[k] = v;
+  }
+
+  return { metrics, perFile, raw };
+}
+
+function totalsFromSummaryFiles(perFile) {
+  // Re-adds the per-file entries of coverage-summary.json, e.g. after include/exclude dropped some
+  const metrics = {};
+  for (const key of ['lines', 'branches', 'functions', 'statements']) {
+    let covered = 0;
+    let total = 0;
+    let skipped = 0;
+    for (const v of Object.values(perFile)) {
+      covered += asNumber(v[key]?.covered, 0);
+      total += asNumber(v[key]?.total, 0);
+      skipped += asNumber(v[key]?.skipped, 0);
+    }
+    metrics[key] = { total, covered, skipped, pct: total > 0 ? Number(((covered / total) * 100).toFixed(2)) : 100 };
+  }
+  return metrics;
+}
+
+function formatBytes(n) {
+  if (n < 1024) return `${n} B`;
+  if (n < 1024 * 1024) return `${(n / 1024).toFixed(1)} KB`;
+  return `${(n / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function pctStr(n) {
+  if (!Number.isFinite(n)) return '0.00';
+  return n.toFixed(2);
+}
+
+function metricPctStr(m) {
+  const pct = asNumber(m?.pct, null);
+  return pct === null ? 'n/a' : `${pctStr(pct)}%`;
+}
+
+function metricCountsStr(m) {
+  if (m?.total === null || m?.total === undefined) return '—';
+  return `${m.covered ?? 0} / ${m.total}`;
+}
+
+const METRICS = [
+  ['lines', 'Lines'],
+  ['branches', 'Branches'],
+  ['functions', 'Functions'],
+  ['statements', 'Statements'],
+];
+
+const FILE_STATUS_LABELS = {
+  added: '🆕 added',
+  removed: '🗑️ removed',
+};
+
+function formatDelta(d) {
+  if (d === null || !Number.isFinite(d)) return '—';
+  // Compare on the rounded value so "+0.00" never shows an arrow
+  const rounded = Number(d.toFixed(2));
+  if (rounded > 0) return `▲ +${pctStr(rounded)}`;
+  if (rounded < 0) return `▼ ${pctStr(rounded)}`;
+  return '±0.00';
+}
+
+function reportFileLinePct(entry) {
+  if (Number.isFinite(entry.lineCoveragePct)) return entry.lineCoveragePct;
+  if (entry.instrumentedLineCount > 0) return (entry.coveredLineCount / entry.instrumentedLineCount) * 100;
+  return null;
+}
+
+function computeCoverageDelta(current, baseline) {
+  // current / baseline: report.json-shaped objects ({ totals, files })
+  const totals = {};
+  for (const [key] of METRICS) {
+    const cur = asNumber(current.totals?.[key]?.pct, NaN);
+    const base = asNumber(baseline.totals?.[key]?.pct, NaN);
+    totals[key] = {
+      current: Number.isFinite(cur) ? cur : null,
+      baseline: Number.isFinite(base) ? base : null,
+      delta: Number.isFinite(cur) && Number.isFinite(base) ? cur - base : null,
+    };
+  }
+
+  const baseFiles = new Map((baseline.files || []).map((f) => [f.path, f]));
+  const curFiles = new Map((current.files || []).map((f) => [f.path, f]));
+  const allPaths = [...new Set([...baseFiles.keys(), ...curFiles.keys()])].sort((a, b) => a.localeCompare(b));
+  const files = allPaths.map((p) => {
+    const cur = curFiles.has(p) ? reportFileLinePct(curFiles.get(p)) : null;
+    const base = baseFiles.has(p) ? reportFileLinePct(baseFiles.get(p)) : null;
+    let status = 'changed';
+    if (!baseFiles.has(p)) status = 'added';
+    else if (!curFiles.has(p)) status = 'removed';
+    else if (cur === base || (cur !== null && base !== null && Math.abs(cur - base) < 0.005)) status = 'unchanged';
+    return {
+      path: p,
+      status,
+      current: cur,
+      baseline: base,
+      delta: cur !== null && base !== null ? cur - base : null,
+    };
+  });
+
+  return { totals, files };
+}
+
+function readCoverageDelta(baselinePath, current) {
+  // -> delta against the baseline report.json, or null (with a warning) when it is missing or unreadable
+  if (!exists(baselinePath)) {
+    // Expected on the first run, before any baseline artifact exists
+    console.log(`::warning::Baseline report not found: ${baselinePath}`);
+    return null;
+  }
+  try {
+    const baseline = JSON.parse(readText(baselinePath));
+    if (!baseline || typeof baseline !== 'object' || !baseline.totals || (baseline.files && !Array.isArray(baseline.files))) {
+      throw new Error('not a code-painting report.json');
+    }
+    const delta = computeCoverageDelta(current, baseline);
+    delta.baselineGeneratedAt = baseline.generatedAt || null;
+    return delta;
+  } catch (err) {
+    console.log(`::warning::Could not read baseline report ${baselinePath}: ${err.message}`);
+    return null;
+  }
+}
+
+// GitHub rejects PR comments longer than this many characters; the step summary gets the same budget
+const GITHUB_TEXT_LIMIT = 65536;
+const TRUNCATED_NOTE = "truncated to fit GitHub's size limit — see the report artifact";
+
+function* summaryBudgetSteps(maxFiles) {
+  // Ever smaller summaries: fewer painted files, then no painting, then fewer per-file rows
+  for (let n = maxFiles; n >= 1; n--) yield { maxFiles: n, includeCodePainting: true, maxRows: Infinity };
+  for (const maxRows of [Infinity, 100, 25, 5, 0]) yield { maxFiles: 0, includeCodePainting: false, maxRows };
+}
+
+function fitToLimit(build, { maxFiles, limit = GITHUB_TEXT_LIMIT }) {
+  // build({ maxFiles, includeCodePainting, maxRows, truncated }) -> text
+  // -> { text, truncated }; the first step that fits wins, a hard cut is the last resort
+  let text = '';
+  let first = true;
+  for (const step of summaryBudgetSteps(maxFiles)) {
+    text = build({ ...step, truncated: !first });
+    if (text.length <= limit) return { text, truncated: !first };
+    first = false;
+  }
+  const note = `\n\n_... ${TRUNCATED_NOTE}._\n`;
+  return { text: text.slice(0, limit - note.length) + note, truncated: true };
+}
+
+function limitRows(rows, maxRows) {
+  // -> { rows, dropped } keeping the first maxRows rows
+  return { rows: rows.slice(0, maxRows), dropped: Math.max(0, rows.length - maxRows) };
+}
+
+function buildHtmlUncoveredFunctions(files, maxRows = Infinity) {
+  const allRows = [];
+  for (const f of files) {
+    for (const fn of uncoveredFunctions(f)) {
+      allRows.push(`<tr><td>${escapeHtml(f.relPath)}</td><td><code>${escapeHtml(fn.name)}</code></td><td style="text-align: right;">${fn.line ?? '—'}</td></tr>`);
+    }
+  }
+  if (allRows.length === 0) return '';
+  const { rows, dropped } = limitRows(allRows, maxRows);
+  return `
+<h3>🧩 Uncovered Functions</h3>
 
-  return fileToLines;
+<table>
+  <thead>
+    <tr>
+      <th>File</th>
+      <th>Function</th>
+      <th style="text-align: right;">Line</th>
+    </tr>
+  </thead>
+  <tbody>
+    ${rows.join('\n    ')}
+  </tbody>
+</table>
+${dropped ? `<p><em>... ${dropped} more function(s) ${TRUNCATED_NOTE}.</em></p>` : ''}
+`.trim();
 }
 
-function readCoverageSummary(summaryPath) {
-  const raw = JSON.parse(readText(summaryPath));
-  const total = raw.total || {};
-
-  const metrics = {
-    lines: total.lines || {},
-    branches: total.branches || {},
-    functions: total.functions || {},
-    statements: total.statements || {},
-  };
+function buildHtmlPatchCoverage(patch, maxRows = Infinity) {
+  if (!patch) return '';
+  const color = patch.status === 'PASS' ? '#28a745' : '#dc3545';
+  const value = patch.pct === null ? 'no coverable changed lines' : `${pctStr(patch.pct)}% (${patch.covered} / ${patch.total} changed lines)`;
+  const { rows: missed, dropped } = limitRows(
+    patch.files
+      .filter((f) => f.uncoveredLines.length > 0)
+      .map((f) => `<li><code>${escapeHtml(f.path)}</code>: lines ${formatLineRanges(f.uncoveredLines)}</li>`),
+    maxRows
+  );
+  if (dropped) missed.push(`<li><em>... ${dropped} more file(s) ${TRUNCATED_NOTE}</em></li>`);
+  return [
+    `<p><strong>Patch Coverage (changed lines ≥ ${patch.threshold}%):</strong> <span style="color: ${color}; font-weight: 600;">${patch.status}</span> — ${value}</p>`,
+    missed.length ? `<details><summary>Uncovered changed lines</summary><ul>${missed.join('')}</ul></details>` : '',
+  ].filter(Boolean).join('\n');
+}
 
-  // Per-file is keyed by path in Jest output; keep as-is
-  const perFile = {};
-  for (const [k, v] of Object.entries(raw)) {
-    if (k === 'total') continue;
-    perFile[k] = v;
-  }
+function buildHtmlFileDeltas(delta, maxRows = Infinity) {
+  if (!delta) return '';
+  const allRows = delta.files
+    .filter((f) => f.status !== 'unchanged')
+    .map(
+      (f) =>
+        `<tr><td>${escapeHtml(f.path)}${FILE_STATUS_LABELS[f.status] ? ` <em>${FILE_STATUS_LABELS[f.status]}</em>` : ''}</td><td style="text-align: right;">${f.current === null ? '—' : `${pctStr(f.current)}%`}</td><td style="text-align: right;">${formatDelta(f.delta)}</td></tr>`
+    );
+  if (allRows.length === 0) return `<p><em>No per-file coverage changes vs baseline.</em></p>`;
+  const { rows, dropped } = limitRows(allRows, maxRows);
+  return `
+<h3>📈 File Coverage Changes</h3>
 
-  return { metrics, perFile, raw };
+<table>
+  <thead>
+    <tr>
+      <th>File</th>
+      <th style="text-align: right;">Lines</th>
+      <th style="text-align: right;">Δ vs baseline</th>
+    </tr>
+  </thead>
+  <tbody>
+    ${rows.join('\n    ')}
+  </tbody>
+</table>
+${dropped ? `<p><em>... ${dropped} more file(s) ${TRUNCATED_NOTE}.</em></p>` : ''}
+`.trim();
 }
 
-function pctStr(n) {
-  if (!Number.isFinite(n)) return '0.00';
-  return n.toFixed(2);
+function buildHtmlQualityGate(gate, maxRows = Infinity) {
+  const color = (status) => (status === 'PASS' ? '#28a745' : '#dc3545');
+  const failedCount = gate.violations.length;
+  const headline = `<p><strong>Quality Gate:</strong> <span style="color: ${color(gate.status)}; font-weight: 600;">${gate.status}</span>${
+    failedCount ? ` — ${failedCount} of ${gate.rules.length} rule(s) violated` : ''
+  }</p>`;
+  if (gate.rules.length === 0) return headline;
+
+  const rows = gate.rules.map((r) => {
+    const { rows: shown, dropped } = limitRows(r.violations, maxRows);
+    const violations = shown.map((v) => `<code>${escapeHtml(v.path)}</code> ${pctStr(v.value)}%`);
+    if (dropped) violations.push(`<em>... ${dropped} more file(s) ${TRUNCATED_NOTE}</em>`);
+    const files = violations.length ? `<br><small>${violations.join(', ')}</small>` : '';
+    return `<tr><td>${escapeHtml(gateRuleLabel(r))}${files}</td><td style="text-align: right;">≥ ${r.threshold}%</td><td style="text-align: right;">${
+      r.value === null ? '—' : `${pctStr(r.value)}%`
+    }</td><td style="color: ${color(r.status)}; font-weight: 600;">${r.status}</td></tr>`;
+  });
+  return `${headline}
+<table>
+  <thead>
+    <tr>
+      <th>Rule</th>
+      <th style="text-align: right;">Required</th>
+      <th style="text-align: right;">Actual</th>
+      <th>Status</th>
+    </tr>
+  </thead>
+  <tbody>
+    ${rows.join('\n    ')}
+  </tbody>
+</table>`;
 }
 
-function buildHtmlCodePaintingSummary({ title, metrics, threshold, files, maxFiles = 5, maxLinesPerFile = 50 }) {
-  const linePct = asNumber(metrics.lines.pct, 0);
-  const gate = linePct >= threshold ? 'PASS' : 'FAIL';
-  const gateColor = gate === 'PASS' ? '#28a745' : '#dc3545';
-  
-  const filesToShow = files.slice(0, maxFiles);
-  const fileSections = filesToShow.map(f => {
+function buildHtmlCodePaintingSummary({
+  title,
+  metrics,
+  gate,
+  files,
+  patch = null,
+  delta = null,
+  tests = null,
+  includeCodePainting = true,
+  maxFiles = 5,
+  maxLinesPerFile = 50,
+  context = 3,
+  maxRows = Infinity,
+  truncated = false,
+}) {
+  const { shown, moreFiles } = selectPaintedFiles(files, { maxFiles, maxLinesPerFile, context });
+  const fileSections = shown.map((painted) => {
+    const { f, hunks } = painted;
     const lines = [];
-    const totalLines = f.sourceLines.length;
-    const showLines = Math.min(totalLines, maxLinesPerFile);
-    const hasMore = totalLines > maxLinesPerFile;
-    
-    for (let i = 0; i < showLines; i++) {
-      const lineNo = i + 1;
-      const line = f.sourceLines[i] || ' ';
-      const hits = f.lineHits?.get(lineNo) ?? 0;
-      const isCovered = hits > 0;
-      const isFail = isCovered && f.failingLines?.has(lineNo);
-      
-      let bgColor = 'transparent';
-      let indicator = '❌';
-      if (isFail) {
-        bgColor = 'rgba(243, 156, 18, 0.30)';
-        indicator = '⚠️';
-      } else if (isCovered) {
-        bgColor = 'rgba(46, 204, 113, 0.25)';
-        indicator = '✅';
-      }
-      
-      const lineNum = String(lineNo).padStart(4, ' ');
+    const tokenLines = highlightFile(f);
+
+    for (const hunk of hunks) {
       lines.push(
-        `<div style="display: grid; grid-template-columns: 40px 60px 1fr; gap: 8px; padding: 2px 8px; background: ${bgColor}; font-family: ui-monospace, monospace; font-size: 12px;">` +
-        `<span style="text-align: right; color: #666;">${indicator}</span>` +
-        `<span style="text-align: right; color: #999;">${lineNum}</span>` +
-        `<span>${escapeHtml(line)}</span>` +
-        `</div>`
+        `<div style="padding: 2px 8px; background: rgba(56, 139, 253, 0.15); color: #999; font-family: ui-monospace, monospace; font-size: 12px;">${escapeHtml(hunk.header)}</div>`
       );
+      for (let lineNo = hunk.start; lineNo <= hunk.end; lineNo++) {
+        const line = f.sourceLines[lineNo - 1] || ' ';
+        const { state, indicator, tooltip } = paintLine(f, lineNo);
+
+        let bgColor = 'transparent';
+        if (state === 'covered-fail') {
+          bgColor = 'rgba(243, 156, 18, 0.30)';
+        } else if (state === 'covered-partial') {
+          bgColor = 'rgba(241, 196, 15, 0.25)';
+        } else if (state === 'covered-pass') {
+          bgColor = 'rgba(46, 204, 113, 0.25)';
+        }
+
+        const lineNum = String(lineNo).padStart(4, ' ');
+        const titleAttr = tooltip ? ` title="${escapeHtml(tooltip)}"` : '';
+        lines.push(
+          `<div${titleAttr} style="display: grid; grid-template-columns: 40px 60px 1fr; gap: 8px; padding: 2px 8px; background: ${bgColor}; font-family: ui-monospace, monospace; font-size: 12px;">` +
+          `<span style="text-align: right; color: #666;">${indicator}</span>` +
+          `<span style="text-align: right; color: #999;">${lineNum}</span>` +
+          `<span>${renderCodeWithRanges(line, [], tokenLines && tokenLines[lineNo - 1], { inlineStyles: true })}</span>` +
+          `</div>`
+        );
+      }
     }
-    
+
+    const { counts, more } = describePaintedFile(painted);
     const coverageBadge = Number.isFinite(f.fileCoveragePct)
       ? ` <span style="background: rgba(255,255,255,0.1); padding: 2px 8px; border-radius: 12px; font-size: 11px;">${pctStr(f.fileCoveragePct)}%</span>`
       : '';
-    const moreIndicator = hasMore ? ` <em style="color: #999;">(showing first ${maxLinesPerFile} of ${totalLines} lines)</em>` : '';
+    const moreIndicator = ` <em style="color: #999;">(${counts}${more ? `; ${more}` : ''})</em>`;
     
     return `
       <details style="margin: 12px 0; border: 1px solid rgba(255,255,255,0.1); border-radius: 6px; padding: 8px;">
@@ -213,99 +1905,88 @@ function buildHtmlCodePaintingSummary({ title, metrics, threshold, files, maxFil
     `.trim();
   }).join('\n');
   
-  const moreFilesNote = files.length > maxFiles
-    ? `<p><em>... and ${files.length - maxFiles} more file(s). Download the HTML report artifact for full details.</em></p>`
-    : '';
+  const moreFilesNote = moreFiles
+    ? truncated
+      ? `<p><em>... ${moreFiles} more file(s) with uncovered, partial or failing lines ${TRUNCATED_NOTE}.</em></p>`
+      : `<p><em>... and ${moreFiles} more file(s) with uncovered, partial or failing lines. Download the HTML report artifact for full details.</em></p>`
+    : shown.length === 0
+      ? '<p><em>No uncovered, partial or failing lines.</em></p>'
+      : '';
   
   return `
 <h2>${escapeHtml(title)} — Coverage Summary</h2>
 
-<p><strong>Quality Gate (lines ≥ ${threshold}%):</strong> <span style="color: ${gateColor}; font-weight: 600;">${gate}</span></p>
+${buildHtmlQualityGate(gate, maxRows)}
+${buildHtmlPatchCoverage(patch, maxRows)}
 
 <table>
   <thead>
     <tr>
       <th>Metric</th>
       <th style="text-align: right;">Coverage</th>
-      <th style="text-align: right;">Covered / Total</th>
+      <th style="text-align: right;">Covered / Total</th>${delta ? `
+      <th style="text-align: right;">Δ vs baseline</th>` : ''}
     </tr>
   </thead>
   <tbody>
+    ${METRICS.map(([key, label]) => `
     <tr>
-      <td>Lines</td>
-      <td style="text-align: right;"><strong>${pctStr(asNumber(metrics.lines.pct, 0))}%</strong></td>
-      <td style="text-align: right;">${metrics.lines.covered ?? 0} / ${metrics.lines.total ?? 0}</td>
-    </tr>
-    <tr>
-      <td>Branches</td>
-      <td style="text-align: right;"><strong>${pctStr(asNumber(metrics.branches.pct, 0))}%</strong></td>
-      <td style="text-align: right;">${metrics.branches.covered ?? 0} / ${metrics.branches.total ?? 0}</td>
-    </tr>
-    <tr>
-      <td>Functions</td>
-      <td style="text-align: right;"><strong>${pctStr(asNumber(metrics.functions.pct, 0))}%</strong></td>
-      <td style="text-align: right;">${metrics.functions.covered ?? 0} / ${metrics.functions.total ?? 0}</td>
-    </tr>
-    <tr>
-      <td>Statements</td>
-      <td style="text-align: right;"><strong>${pctStr(asNumber(metrics.statements.pct, 0))}%</strong></td>
-      <td style="text-align: right;">${metrics.statements.covered ?? 0} / ${metrics.statements.total ?? 0}</td>
-    </tr>
+      <td>${label}</td>
+      <td style="text-align: right;"><strong>${metricPctStr(metrics[key])}</strong></td>
+      <td style="text-align: right;">${metricCountsStr(metrics[key])}</td>${delta ? `
+      <td style="text-align: right;">${formatDelta(delta.totals[key].delta)}</td>` : ''}
+    </tr>`).join('')}
   </tbody>
 </table>
 
+${buildHtmlFileDeltas(delta, maxRows)}
+
+${buildHtmlUncoveredFunctions(files, maxRows)}
+
 <hr>
 
-<h3>🎨 Code Painting</h3>
+${includeCodePainting ? `<h3>🎨 Code Painting</h3>
 
 <p><strong>Legend:</strong></p>
 <ul>
   <li>✅ Covered by tests (passing)</li>
-  <li>⚠️ Covered by tests (failing - appears in Jest error stack traces)</li>
+  <li>🟡 Partially covered (some branches never taken — hover for details)</li>
+  <li>⚠️ Covered by tests (failing - ${tests ? 'executed by a failing test' : 'appears in Jest error stack traces'})</li>
   <li>❌ Not covered by tests</li>
+  <li>⬜ Not instrumented (blank lines, comments, closing braces)</li>
 </ul>
 
 ${fileSections}
 
 ${moreFilesNote}
 
-<p><em>💡 Expand the file sections above to view the code painting. For a full interactive HTML report, download the workflow artifact.</em></p>
+<p><em>💡 Expand the file sections above to view the uncovered and failing lines in context. For a full interactive HTML report, download the workflow artifact.</em></p>` : `<p><em>Code painting ${TRUNCATED_NOTE}.</em></p>`}
 `.trim();
 }
 
-function buildCodePaintingMarkdown({ files, maxFiles = 5, maxLinesPerFile = 50 }) {
+function buildCodePaintingMarkdown({ files, maxFiles = 5, maxLinesPerFile = 50, context = 3, markers = 'emoji', truncated = false }) {
   const sections = [];
-  const filesToShow = files.slice(0, maxFiles);
+  const { shown, moreFiles } = selectPaintedFiles(files, { maxFiles, maxLinesPerFile, context });
   
-  for (const f of filesToShow) {
+  for (const painted of shown) {
+    const { f, hunks } = painted;
     const lines = [];
-    const totalLines = f.sourceLines.length;
-    const showLines = Math.min(totalLines, maxLinesPerFile);
-    const hasMore = totalLines > maxLinesPerFile;
     
-    for (let i = 0; i < showLines; i++) {
-      const lineNo = i + 1;
-      const line = f.sourceLines[i];
-      const hits = f.lineHits?.get(lineNo) ?? 0;
-      const isCovered = hits > 0;
-      const isFail = isCovered && f.failingLines?.has(lineNo);
-      
-      let indicator = '❌'; // uncovered
-      if (isFail) {
-        indicator = '⚠️'; // covered but failing
-      } else if (isCovered) {
-        indicator = '✅'; // covered and passing
-      }
-      
-      const lineNum = String(lineNo).padStart(4, ' ');
-      const displayLine = line || ' '; // handle empty lines
-      lines.push(`${indicator} ${lineNum} | ${displayLine}`);
+    for (const hunk of hunks) {
+      lines.push(hunk.header);
+      for (let lineNo = hunk.start; lineNo <= hunk.end; lineNo++) {
+        const { indicator } = paintLine(f, lineNo, markers);
+        const lineNum = String(lineNo).padStart(4, ' ');
+        const displayLine = f.sourceLines[lineNo - 1] || ' '; // handle empty lines
+        lines.push(`${indicator} ${lineNum} | ${displayLine}`);
+      }
     }
     
+    const { counts, more } = describePaintedFile(painted);
     const coverageBadge = Number.isFinite(f.fileCoveragePct)
       ? ` — ${pctStr(f.fileCoveragePct)}% coverage`
       : '';
-    const moreIndicator = hasMore ? ` _(showing first ${maxLinesPerFile} of ${totalLines} lines)_` : '';
+    const moreIndicator = ` _(${counts}${more ? `; ${more}` : ''})_`;
     
     sections.push([
       `<details>`,
@@ -319,31 +2000,118 @@ function buildCodePaintingMarkdown({ files, maxFiles = 5, maxLinesPerFile = 50 }
     ].join('\n'));
   }
   
-  if (files.length > maxFiles) {
-    sections.push(`_... and ${files.length - maxFiles} more file(s). Download the HTML report for full details._`);
+  if (moreFiles && truncated) {
+    sections.push(`_... ${moreFiles} more file(s) with uncovered, partial or failing lines ${TRUNCATED_NOTE}._`);
+  } else if (moreFiles) {
+    sections.push(`_... and ${moreFiles} more file(s) with uncovered, partial or failing lines. Download the HTML report for full details._`);
+  } else if (shown.length === 0) {
+    sections.push('_No uncovered, partial or failing lines._');
   }
   
   return sections.join('\n');
 }
 
-function buildSummaryMarkdown({ title, metrics, threshold, files, includeCodePainting = true }) {
-  const linePct = asNumber(metrics.lines.pct, 0);
-  const gate = linePct >= threshold ? 'PASS' : 'FAIL';
+function buildUncoveredFunctionsMarkdown(files, maxRows = Infinity) {
+  const allRows = [];
+  for (const f of files) {
+    for (const fn of uncoveredFunctions(f)) {
+      allRows.push(`| ${f.relPath} | \`${fn.name}\` | ${fn.line ?? '—'} |`);
+    }
+  }
+  if (allRows.length === 0) return '';
+  const { rows, dropped } = limitRows(allRows, maxRows);
+  const note = dropped ? ['', `_... ${dropped} more function(s) ${TRUNCATED_NOTE}._`] : [];
+  return ['### 🧩 Uncovered Functions', '', '| File | Function | Line |', '|---|---|---:|', ...rows, ...note, ''].join('\n');
+}
+
+function buildPatchCoverageMarkdown(patch, maxRows = Infinity) {
+  if (!patch) return [];
+  const value = patch.pct === null ? 'no coverable changed lines' : `${pctStr(patch.pct)}% (${patch.covered} / ${patch.total} changed lines)`;
+  const lines = [`- **Patch Coverage (changed lines ≥ ${patch.threshold}%):** ${patch.status} — ${value}`];
+  const { rows, dropped } = limitRows(
+    patch.files.filter((f) => f.uncoveredLines.length > 0),
+    maxRows
+  );
+  for (const f of rows) lines.push(`  - \`${f.path}\`: uncovered lines ${formatLineRanges(f.uncoveredLines)}`);
+  if (dropped) lines.push(`  - _... ${dropped} more file(s) ${TRUNCATED_NOTE}_`);
+  return lines;
+}
+
+function buildFileDeltasMarkdown(delta, maxRows = Infinity) {
+  if (!delta) return '';
+  const allRows = delta.files
+    .filter((f) => f.status !== 'unchanged')
+    .map((f) => `| ${f.path}${FILE_STATUS_LABELS[f.status] ? ` _${FILE_STATUS_LABELS[f.status]}_` : ''} | ${f.current === null ? '—' : `${pctStr(f.current)}%`} | ${formatDelta(f.delta)} |`);
+  if (allRows.length === 0) return '_No per-file coverage changes vs baseline._\n';
+  const { rows, dropped } = limitRows(allRows, maxRows);
+  const note = dropped ? ['', `_... ${dropped} more file(s) ${TRUNCATED_NOTE}._`] : [];
+  return ['### 📈 File Coverage Changes', '', '| File | Lines | Δ vs baseline |', '|---|---:|---:|', ...rows, ...note, ''].join('\n');
+}
+
+function buildQualityGateMarkdown(gate, markers = 'emoji', maxRows = Infinity) {
+  const failedCount = gate.violations.length;
+  const lines = [`- **Quality Gate:** ${gate.status}${failedCount ? ` — ${failedCount} of ${gate.rules.length} rule(s) violated` : ''}`];
+  for (const r of gate.rules) {
+    const icon = markers === 'ascii' ? `[${r.status}]` : r.status === 'PASS' ? '✅' : '❌';
+    const actual = r.value === null ? '—' : `${pctStr(r.value)}%`;
+    lines.push(`  - ${icon} **${gateRuleLabel(r)}:** ${actual} ${r.status === 'PASS' ? '≥' : '<'} ${r.threshold}%`);
+    const { rows, dropped } = limitRows(r.violations, maxRows);
+    for (const v of rows) lines.push(`    - \`${v.path}\`: ${pctStr(v.value)}%`);
+    if (dropped) lines.push(`    - _... ${dropped} more file(s) ${TRUNCATED_NOTE}_`);
+  }
+  return lines;
+}
+
+function paintingLegendMarkdown(markers, tests = null) {
+  // tests: per-test coverage index when available; failing lines then come from it, not stack traces
+  // ASCII markers go in code spans so "- +" / "- -" are not read as nested lists
+  const m = (state) => (markers === 'ascii' ? `\`${LINE_INDICATORS.ascii[state]}\`` : LINE_INDICATORS.emoji[state]);
+  return [
+    `- ${m('covered-pass')} Covered by tests (passing)`,
+    `- ${m('covered-partial')} Partially covered (some branches never taken)`,
+    `- ${m('covered-fail')} Covered by tests (failing - ${tests ? 'executed by a failing test' : 'appears in Jest error stack traces'})`,
+    `- ${m('uncovered')} Not covered by tests`,
+    `- ${m('not-instrumented')} Not instrumented (blank lines, comments, closing braces)`,
+  ];
+}
 
+function buildSummaryMarkdown({
+  title,
+  metrics,
+  gate,
+  files,
+  patch = null,
+  delta = null,
+  tests = null,
+  includeCodePainting = true,
+  maxFiles = 5,
+  maxLinesPerFile = 50,
+  context = 3,
+  markers = 'emoji',
+  maxRows = Infinity,
+  truncated = false,
+}) {
   const parts = [
     `## ${title} — Coverage Summary`,
     '',
-    `- **Quality Gate (lines ≥ ${threshold}%):** ${gate}`,
+    ...buildQualityGateMarkdown(gate, markers, maxRows),
+    ...buildPatchCoverageMarkdown(patch, maxRows),
     '',
-    '| Metric | Coverage | Covered / Total |',
-    '|---|---:|---:|',
-    `| Lines | ${pctStr(asNumber(metrics.lines.pct, 0))}% | ${metrics.lines.covered ?? 0} / ${metrics.lines.total ?? 0} |`,
-    `| Branches | ${pctStr(asNumber(metrics.branches.pct, 0))}% | ${metrics.branches.covered ?? 0} / ${metrics.branches.total ?? 0} |`,
-    `| Functions | ${pctStr(asNumber(metrics.functions.pct, 0))}% | ${metrics.functions.covered ?? 0} / ${metrics.functions.total ?? 0} |`,
-    `| Statements | ${pctStr(asNumber(metrics.statements.pct, 0))}% | ${metrics.statements.covered ?? 0} / ${metrics.statements.total ?? 0} |`,
+    delta ? '| Metric | Coverage | Covered / Total | Δ vs baseline |' : '| Metric | Coverage | Covered / Total |',
+    delta ? '|---|---:|---:|---:|' : '|---|---:|---:|',
+    ...METRICS.map(([key, label]) => {
+      const row = `| ${label} | ${metricPctStr(metrics[key])} | ${metricCountsStr(metrics[key])} |`;
+      return delta ? `${row} ${formatDelta(delta.totals[key].delta)} |` : row;
+    }),
     '',
   ];
   
+  const fileDeltasMd = buildFileDeltasMarkdown(delta, maxRows);
+  if (fileDeltasMd) parts.push(fileDeltasMd);
+  
+  const uncoveredFnsMd = files ? buildUncoveredFunctionsMarkdown(files, maxRows) : '';
+  if (uncoveredFnsMd) parts.push(uncoveredFnsMd);
+  
   if (includeCodePainting && files && files.length > 0) {
     parts.push(
       '---',
@@ -351,64 +2119,176 @@ function buildSummaryMarkdown({ title, metrics, threshold, files, includeCodePai
       '### 🎨 Code Painting',
       '',
       '**Legend:**',
-      '- ✅ Covered by tests (passing)',
-      '- ⚠️ Covered by tests (failing - appears in Jest error stack traces)',
-      '- ❌ Not covered by tests',
+      ...paintingLegendMarkdown(markers, tests),
       '',
-      buildCodePaintingMarkdown({ files }),
+      buildCodePaintingMarkdown({ files, maxFiles, maxLinesPerFile, context, markers, truncated }),
       '',
-      '_💡 Expand the file sections above to view the code painting. For a full interactive HTML report, download the workflow artifact._',
+      '_💡 Expand the file sections above to view the uncovered and failing lines in context. For a full interactive HTML report, download the workflow artifact._',
       '',
     );
+  } else if (truncated) {
+    parts.push(`_Code painting ${TRUNCATED_NOTE}._`, '');
   } else {
     parts.push('_Download the "code painting" HTML report from the workflow artifacts to view per-line highlights._', '');
   }
   
-  return parts.join('\n');
+  const markdown = parts.join('\n');
+  return markers === 'ascii' ? toAsciiMarkdown(markdown) : markdown;
 }
 
-function buildHtmlReport({ title, files }) {
-  // files: [{ relPath, sourceLines, lineHits: Map, failingLines: Set, fileCoveragePct }]
-  const fileOptions = files
-    .map(
-      (f, idx) =>
-        `<option value="${escapeHtml(f.relPath)}"${idx === 0 ? ' selected' : ''}>${escapeHtml(
-          f.relPath
-        )}${Number.isFinite(f.fileCoveragePct) ? ` — ${pctStr(f.fileCoveragePct)}%` : ''}</option>`
-    )
-    .join('');
+const HTML_LAYOUTS = ['auto', 'single', 'split'];
+
+// Subdirectory of output-dir holding the per-file pages of the split layout
+const SPLIT_PAGES_DIR = 'code-painting-files';
+
+function writeHtmlReport(outDir, { title, files, tests, threshold, layout = 'auto', budgetBytes = 5 * 1024 * 1024 }) {
+  // "single" inlines every file into index.html; "split" writes a light index.html
+  // plus code-painting-files/<n>-<name>.html per source file. "auto" splits once the
+  // single page would exceed budgetBytes. Returns size measurements for report.json.
+  const started = Date.now();
+  // The directory only ever holds our own pages (output-dir may be the repo root); drop
+  // stale ones, including those of an earlier split run when this one fits a single page
+  const pagesDir = path.join(outDir, SPLIT_PAGES_DIR);
+  fs.rmSync(pagesDir, { recursive: true, force: true });
+
+  let single = null;
+  if (layout !== 'split') {
+    single = buildHtmlReport({ title, files, tests, threshold });
+    if (layout === 'single' || Buffer.byteLength(single) <= budgetBytes) {
+      writeText(path.join(outDir, 'index.html'), single);
+      const bytes = Buffer.byteLength(single);
+      return { layout: 'single', budgetBytes, indexBytes: bytes, pageCount: 0, largestPageBytes: bytes, totalBytes: bytes, buildMs: Date.now() - started };
+    }
+  }
+
+  const pageFor = (f, idx) => `${SPLIT_PAGES_DIR}/${idx}-${f.relPath.replace(/[^\w.-]+/g, '_')}.html`;
+  const index = buildHtmlReport({ title, files, threshold, pageFor });
+  writeText(path.join(outDir, 'index.html'), index);
+  fs.mkdirSync(pagesDir, { recursive: true });
+  let largestPageBytes = 0;
+  let totalBytes = Buffer.byteLength(index);
+  files.forEach((f, idx) => {
+    // Each page embeds only the tests its lines reference
+    const pageTests = tests && f.lineTests ? Object.fromEntries([...new Set([...f.lineTests.values()].flat())].map((i) => [i, tests[i]])) : null;
+    const page = buildHtmlReport({ title: `${f.relPath} — ${title}`, files: [f], tests: pageTests, threshold, indexHref: '../index.html' });
+    writeText(path.join(outDir, pageFor(f, idx)), page);
+    largestPageBytes = Math.max(largestPageBytes, Buffer.byteLength(page));
+    totalBytes += Buffer.byteLength(page);
+  });
+  return {
+    layout: 'split',
+    budgetBytes,
+    singlePageBytes: single === null ? null : Buffer.byteLength(single),
+    indexBytes: Buffer.byteLength(index),
+    pageCount: files.length,
+    largestPageBytes,
+    totalBytes,
+    buildMs: Date.now() - started,
+  };
+}
+
+// Shape markers next to the line numbers, so states never rely on the background colour alone
+const GUTTER_MARKERS = {
+  'covered-pass': '✓',
+  'covered-partial': '◐',
+  'covered-fail': '!',
+  missed: '✗',
+};
 
-  const fileSections = files
+function buildHtmlReport({ title, files, tests = null, threshold = 80, pageFor = null, indexHref = null }) {
+  // files: [{ relPath, sourceLines, lineHits: Map, branches: Map, functions: Map, failingLines: Set, lineTests: Map|null, metrics }]
+  // tests: per-test coverage index ([{ testFile, name, status }]) referenced by lineTests, or null
+  // threshold: initial value of the landing view's "only files below X%" filter
+  // pageFor(f, idx): split layout index page; files link to their own pages and no code is inlined
+  // indexHref: split layout file page (files holds that one file); "All files" links back to it
+  const fileIndex = files.map((f, idx) => ({
+    path: f.relPath,
+    idx,
+    ...(pageFor ? { page: pageFor(f, idx) } : {}),
+    lines: [f.metrics.lines.covered, f.metrics.lines.total],
+    branches: [f.metrics.branches.covered, f.metrics.branches.total],
+    functions: [f.metrics.functions.covered, f.metrics.functions.total],
+  }));
+  const allFilesHref = indexHref || '#';
+
+  const fileSections = (pageFor ? [] : files)
     .map((f, idx) => {
+      const fileHref = `#file=${encodeURIComponent(f.relPath)}`;
+      const uncoveredFns = uncoveredFunctions(f);
+      const fnList = uncoveredFns.length
+        ? `<div class="fnList"><span class="fnLabel">Uncovered functions:</span> ${uncoveredFns
+            .map((fn) =>
+              fn.line
+                ? `<a class="fn" href="${escapeHtml(`${fileHref}&L=${fn.line}`)}">${escapeHtml(fn.name)} <span class="fnLine">L${fn.line}</span></a>`
+                : `<span class="fn">${escapeHtml(fn.name)}</span>`
+            )
+            .join(' ')}</div>`
+        : '';
+      const states = f.sourceLines.map((_, i) => paintLine(f, i + 1));
+      const tokenLines = highlightFile(f);
       const rows = f.sourceLines
         .map((line, i) => {
           const lineNo = i + 1;
-          const hits = f.lineHits?.get(lineNo) ?? 0;
-          const isCovered = hits > 0;
-          const isFail = isCovered && f.failingLines?.has(lineNo);
-          const cls = isFail ? 'covered-fail' : isCovered ? 'covered-pass' : 'uncovered';
-          const hitsBadge = isCovered ? `<span class="hits">hits:${hits}</span>` : '';
+          const { hits, state, branchTotal, branchTaken, tooltip } = states[i];
+          const missed = f.lineHits.has(lineNo) && hits === 0;
+          const branchInfo = branchTotal > 0 ? ` br:${branchTaken}/${branchTotal}` : '';
+          const testIdxs = f.lineTests ? f.lineTests.get(lineNo) || [] : [];
+          const failingTests = testIdxs.filter((t) => tests[t].status === 'failed').length;
+          const testInfo = testIdxs.length ? ` tests:${testIdxs.length}${failingTests ? ` (${failingTests} failing)` : ''}` : '';
+          const hitsBadge = hits > 0 ? `<span class="hits">hits:${hits}${branchInfo}${testInfo}</span>` : '';
+          const titleAttr = tooltip ? ` title="${escapeHtml(tooltip)}"` : '';
+          const testsAttr = testIdxs.length ? ` data-tests="${testIdxs.join(',')}"` : '';
+          const gutter = missed ? GUTTER_MARKERS.missed : state === 'uncovered' ? '' : GUTTER_MARKERS[state];
           return `
-            <div class="row ${cls}">
-              <span class="ln">${lineNo}</span>
-              <span class="code">${escapeHtml(line)}</span>
+            <div class="row ${state}${missed ? ' missed' : ''}" id="f${idx}-L${lineNo}"${titleAttr}${testsAttr}>
+              <a class="ln" href="${escapeHtml(`${fileHref}&L=${lineNo}`)}">${lineNo}</a>
+              <span class="mark">${gutter}</span>
+              <span class="code">${renderCodeWithRanges(
+                line,
+                state === 'uncovered' ? [] : uncoveredColumnRanges(f, lineNo, line.length),
+                tokenLines && tokenLines[i]
+              )}</span>
               ${hitsBadge}
             </div>
           `.trim();
         })
         .join('\n');
 
+      // Navigation targets (n/p, f) and minimap markers, positioned relative to the file length
+      const missedBlocks = toLineRanges(
+        [...f.lineHits].filter(([, hits]) => hits === 0).map(([lineNo]) => lineNo),
+        notInstrumentedBetween(f)
+      );
+      const failing = states.flatMap((st, i) => (st.state === 'covered-fail' ? [i + 1] : []));
+      const partial = states.flatMap((st, i) => (st.state === 'covered-partial' ? [i + 1] : []));
+      const lineCount = Math.max(f.sourceLines.length, 1);
+      const marker = (kind, start, end, label) => {
+        const top = ((start - 1) / lineCount) * 100;
+        const height = Math.max(((end - start + 1) / lineCount) * 100, 0.5);
+        const range = start === end ? `${start}` : `${start}-${end}`;
+        return `<a class="mm ${kind}" style="top:${top.toFixed(2)}%;height:${height.toFixed(2)}%" href="${escapeHtml(`${fileHref}&L=${range}`)}" title="${label} L${range}"></a>`;
+      };
+      const minimap = [
+        ...missedBlocks.map((r) => marker('missed', r.start, r.end, 'not covered')),
+        ...toLineRanges(partial).map((r) => marker('partial', r.start, r.end, 'partially covered')),
+        ...toLineRanges(failing).map((r) => marker('failing', r.start, r.end, 'covered + failing')),
+      ].join('');
+
       return `
-        <section class="file" data-file="${escapeHtml(f.relPath)}" style="display:${idx === 0 ? 'block' : 'none'}">
+        <section class="file" data-file="${escapeHtml(f.relPath)}" data-blocks="${missedBlocks.map((r) => `${r.start}-${r.end}`).join(' ')}" data-failing="${failing.join(' ')}" style="display:none">
           <div class="fileHeader">
-            <div class="filePath">${escapeHtml(f.relPath)}</div>
+            <div class="filePath"><a class="back" href="${escapeHtml(allFilesHref)}">All files</a> / ${escapeHtml(f.relPath)}</div>
             <div class="fileMeta">
               ${Number.isFinite(f.fileCoveragePct) ? `<span class="pill">line coverage: ${pctStr(f.fileCoveragePct)}%</span>` : ''}
+              ${f.functionsFound ? `<span class="pill">functions: ${f.functionsHit} / ${f.functionsFound}</span>` : ''}
             </div>
           </div>
+          ${fnList}
+          <div class="navHint">Keys: <kbd>n</kbd>/<kbd>p</kbd> next/previous uncovered block (${missedBlocks.length}) · <kbd>f</kbd> next failing line (${failing.length}) · click a line number to link to it</div>
           <div class="codePane" role="region" aria-label="painted code">
             ${rows}
           </div>
+          <nav class="minimap" aria-label="coverage gaps">${minimap}</nav>
         </section>
       `.trim();
     })
@@ -420,15 +2300,118 @@ function buildHtmlReport({ title, files }) {
   <meta charset="utf-8" />
   <meta name="viewport" content="width=device-width, initial-scale=1" />
   <title>${escapeHtml(title)}</title>
+  <script>
+    // Theme and palette chosen in the toolbar, remembered across pages and reports
+    (function () {
+      const root = document.documentElement;
+      let theme = null;
+      let palette = null;
+      try {
+        theme = localStorage.getItem('code-painting-theme');
+        palette = localStorage.getItem('code-painting-palette');
+      } catch (err) {
+        // Storage can be unavailable (e.g. file:// pages in some browsers)
+      }
+      const prefers = (q) => Boolean(window.matchMedia && window.matchMedia(q).matches);
+      if (!theme) theme = prefers('(prefers-contrast: more)') ? 'high-contrast' : prefers('(prefers-color-scheme: light)') ? 'light' : 'dark';
+      root.setAttribute('data-theme', theme);
+      root.setAttribute('data-palette', palette || 'default');
+    })();
+  </script>
   <style>
     :root {
+      color-scheme: dark;
       --bg: #0b1020;
       --panel: #111a33;
       --text: #e8eefc;
       --muted: #9fb0d0;
+      --faint: rgba(232, 238, 252, 0.40);
       --border: rgba(255,255,255,0.10);
+      --rule: rgba(255,255,255,0.04);
+      --surface: rgba(255,255,255,0.02);
+      --raised: rgba(255,255,255,0.06);
       --green: rgba(46, 204, 113, 0.25);
       --orange: rgba(243, 156, 18, 0.30);
+      --yellow: rgba(241, 196, 15, 0.25);
+      --good: #2ecc71;
+      --missed: #e74c3c;
+      --partial: #f1c40f;
+      --failing: #f39c12;
+      --failed-text: #ff8a80;
+      --uncovered-expr: rgba(231, 76, 60, 0.45);
+      --tok-keyword: #c678dd;
+      --tok-number: #d19a66;
+      --tok-string: #98c379;
+      --tok-regex: #56b6c2;
+      --tok-comment: #7f848e;
+      --tok-function: #61afef;
+      --tok-property: #e06c75;
+    }
+    :root[data-theme="light"] {
+      color-scheme: light;
+      --bg: #f6f8fa;
+      --panel: #ffffff;
+      --text: #1f2328;
+      --muted: #59636e;
+      --faint: rgba(31, 35, 40, 0.50);
+      --border: rgba(31,35,40,0.15);
+      --rule: rgba(31,35,40,0.06);
+      --surface: #ffffff;
+      --raised: rgba(31,35,40,0.05);
+      --green: rgba(46, 204, 113, 0.22);
+      --orange: rgba(243, 156, 18, 0.30);
+      --yellow: rgba(241, 196, 15, 0.30);
+      --good: #1a7f37;
+      --missed: #cf222e;
+      --partial: #9a6700;
+      --failing: #bc4c00;
+      --failed-text: #cf222e;
+      --uncovered-expr: rgba(207, 34, 46, 0.22);
+      --tok-keyword: #a626a4;
+      --tok-number: #986801;
+      --tok-string: #50a14f;
+      --tok-regex: #0184bc;
+      --tok-comment: #6a737d;
+      --tok-function: #4078f2;
+      --tok-property: #c4321f;
+    }
+    :root[data-theme="high-contrast"] {
+      --bg: #000000;
+      --panel: #000000;
+      --text: #ffffff;
+      --muted: #e6e6e6;
+      --faint: #d0d0d0;
+      --border: #ffffff;
+      --rule: rgba(255,255,255,0.30);
+      --surface: #000000;
+      --raised: #1a1a1a;
+      --green: rgba(46, 204, 113, 0.45);
+      --orange: rgba(255, 140, 0, 0.55);
+      --yellow: rgba(255, 230, 0, 0.45);
+      --good: #3dff8a;
+      --missed: #ff5c5c;
+      --partial: #ffe600;
+      --failing: #ff9d00;
+      --failed-text: #ff8a80;
+      --uncovered-expr: rgba(255, 60, 60, 0.70);
+      --tok-keyword: #ff8cff;
+      --tok-number: #ffc266;
+      --tok-string: #a6ff7a;
+      --tok-regex: #66f0ff;
+      --tok-comment: #c0c0c0;
+      --tok-function: #8cc8ff;
+      --tok-property: #ff9e9e;
+    }
+    /* Okabe-Ito colours: blue / yellow / vermillion, reddish purple for misses */
+    :root[data-palette="colorblind"] {
+      --green: rgba(0, 114, 178, 0.32);
+      --yellow: rgba(240, 228, 66, 0.32);
+      --orange: rgba(213, 94, 0, 0.40);
+      --good: #0072b2;
+      --missed: #cc79a7;
+      --partial: #f0e442;
+      --failing: #d55e00;
+      --uncovered-expr: rgba(204, 121, 167, 0.50);
     }
     html, body { height: 100%; }
     body {
@@ -447,141 +2430,681 @@ function buildHtmlReport({ title, files }) {
     }
     .title { font-weight: 700; letter-spacing: 0.2px; }
     .controls { display: flex; gap: 10px; align-items: center; flex-wrap: wrap; }
-    select {
+    input, button, select {
       background: var(--panel);
       color: var(--text);
       border: 1px solid var(--border);
       border-radius: 10px;
-      padding: 8px 10px;
-      min-width: min(700px, 80vw);
+      padding: 6px 10px;
+      font: inherit;
+      font-size: 13px;
     }
+    input[type="search"] { min-width: min(360px, 60vw); }
+    input[type="number"] { width: 4.5em; padding: 2px 6px; }
+    input[type="checkbox"] { padding: 0; }
+    button { cursor: pointer; }
+    .indexControls { display: flex; gap: 12px; align-items: center; flex-wrap: wrap; margin: 14px 2px 10px; }
+    table.files { width: 100%; border-collapse: collapse; font-size: 13px; border: 1px solid var(--border); border-radius: 12px; overflow: hidden; }
+    table.files th { text-align: left; color: var(--muted); font-weight: 600; padding: 8px 10px; background: var(--panel); cursor: pointer; user-select: none; white-space: nowrap; }
+    table.files th[aria-sort="ascending"]::after { content: " \\25B4"; }
+    table.files th[aria-sort="descending"]::after { content: " \\25BE"; }
+    table.files td { padding: 4px 10px; border-top: 1px solid var(--rule); white-space: nowrap; }
+    table.files tr.dir td:first-child { font-weight: 600; }
+    table.files a { color: var(--text); text-decoration: none; }
+    table.files a:hover { text-decoration: underline; }
+    .twisty { border: none; background: none; padding: 0 4px 0 0; color: var(--muted); width: 1.4em; text-align: left; }
+    .pct { display: inline-block; min-width: 4.5em; text-align: right; }
+    .bar { display: inline-block; width: 60px; height: 6px; border-radius: 3px; background: var(--raised); vertical-align: middle; margin: 0 8px; overflow: hidden; }
+    .bar > span { display: block; height: 100%; background: var(--good); }
+    .bar.low > span { background: var(--missed); }
+    .counts { color: var(--muted); font-size: 12px; }
+    .back { color: var(--muted); }
     .legend { display: flex; gap: 10px; align-items: center; flex-wrap: wrap; color: var(--muted); font-size: 13px; }
     .swatch { width: 10px; height: 10px; border-radius: 3px; display: inline-block; border: 1px solid var(--border); }
     .swatch.pass { background: var(--green); }
+    .swatch.partial { background: var(--yellow); }
     .swatch.fail { background: var(--orange); }
     .swatch.none { background: transparent; }
     .fileHeader { display: flex; gap: 10px; align-items: baseline; justify-content: space-between; margin: 14px 2px 10px; }
     .filePath { font-family: ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, "Liberation Mono", "Courier New", monospace; font-size: 13px; color: var(--text); }
-    .pill { background: rgba(255,255,255,0.06); border: 1px solid var(--border); padding: 4px 8px; border-radius: 999px; color: var(--muted); font-size: 12px; }
+    .pill { background: var(--raised); border: 1px solid var(--border); padding: 4px 8px; border-radius: 999px; color: var(--muted); font-size: 12px; }
     .codePane {
       border: 1px solid var(--border);
       border-radius: 12px;
       overflow: hidden;
-      background: rgba(255,255,255,0.02);
+      background: var(--surface);
     }
     .row {
       display: grid;
-      grid-template-columns: 64px 1fr auto;
+      grid-template-columns: 64px 1.2em 1fr auto;
       gap: 10px;
       padding: 2px 12px;
       align-items: start;
       font-family: ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, "Liberation Mono", "Courier New", monospace;
       font-size: 12.5px;
       line-height: 1.6;
-      border-top: 1px solid rgba(255,255,255,0.04);
+      border-top: 1px solid var(--rule);
     }
     .row:first-child { border-top: none; }
-    .ln { color: rgba(232, 238, 252, 0.35); text-align: right; user-select: none; }
+    .ln { color: var(--faint); text-align: right; user-select: none; }
+    .mark { text-align: center; font-weight: 700; user-select: none; }
+    .covered-pass .mark { color: var(--good); }
+    .covered-partial .mark { color: var(--partial); }
+    .covered-fail .mark { color: var(--failing); }
+    .missed .mark { color: var(--missed); }
     .code { white-space: pre; overflow-wrap: anywhere; }
-    .hits { color: rgba(232, 238, 252, 0.45); font-size: 11.5px; padding-left: 10px; user-select: none; }
+    .hits { color: var(--faint); font-size: 11.5px; padding-left: 10px; user-select: none; }
     .covered-pass { background: var(--green); }
+    .covered-partial { background: var(--yellow); }
     .covered-fail { background: var(--orange); }
     .uncovered { background: transparent; }
+    .uncovered-expr { background: var(--uncovered-expr); border-radius: 3px; text-decoration: underline dotted; }
+    .tok-keyword { color: var(--tok-keyword); }
+    .tok-literal, .tok-number { color: var(--tok-number); }
+    .tok-string { color: var(--tok-string); }
+    .tok-regex { color: var(--tok-regex); }
+    .tok-comment { color: var(--tok-comment); font-style: italic; }
+    .tok-function { color: var(--tok-function); }
+    .tok-property { color: var(--tok-property); }
+    .row.selected { outline: 2px solid var(--muted); outline-offset: -2px; }
+    a.ln { text-decoration: none; }
+    a.ln:hover { color: var(--text); text-decoration: underline; }
+    .row.missed .ln { color: var(--missed); }
+    .navHint { margin: 0 2px 10px; font-size: 12px; color: var(--muted); }
+    kbd { font-family: ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, "Liberation Mono", "Courier New", monospace; border: 1px solid var(--border); border-bottom-width: 2px; border-radius: 4px; padding: 0 4px; }
+    .minimap { position: fixed; top: 16px; bottom: 16px; right: 6px; width: 12px; border-radius: 6px; background: var(--raised); border: 1px solid var(--border); }
+    .mm { position: absolute; left: 1px; right: 1px; min-height: 3px; border-radius: 2px; }
+    .mm.missed { background: var(--missed); }
+    .mm.partial { background: var(--partial); }
+    .mm.failing { background: var(--failing); z-index: 1; }
+    .fnList { display: flex; gap: 6px; align-items: center; flex-wrap: wrap; margin: 0 2px 10px; font-size: 12px; color: var(--muted); }
+    .fn { font-family: ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, "Liberation Mono", "Courier New", monospace; color: var(--text); text-decoration: none; background: var(--raised); border: 1px solid var(--border); padding: 2px 8px; border-radius: 999px; }
+    .fn:hover { border-color: var(--muted); }
+    .fnLine { color: var(--muted); }
+    .row[data-tests] { cursor: pointer; }
+    .testList { margin: 0; padding: 6px 12px 8px 112px; list-style: none; font-size: 12px; color: var(--muted); background: var(--panel); border-top: 1px solid var(--border); }
+    .testList .failed { color: var(--failed-text); }
   </style>
 </head>
-<body>
+<body${indexHref ? ' data-single-file="true"' : ''}>
   <div class="wrap">
     <div class="topbar">
       <div class="title">${escapeHtml(title)}</div>
       <div class="controls">
-        <label for="fileSel" class="legend" style="margin-right:6px;">File</label>
-        <select id="fileSel" aria-label="file selector">${fileOptions}</select>
+        <a class="back" href="${escapeHtml(allFilesHref)}">All files</a>
+        <select id="theme" aria-label="theme">
+          <option value="dark">Dark</option>
+          <option value="light">Light</option>
+          <option value="high-contrast">High contrast</option>
+        </select>
+        <label class="legend"><input type="checkbox" id="colorblind" /> colorblind-safe colours</label>
       </div>
     </div>
+    <section id="indexView">
+      <div class="indexControls">
+        <input type="search" id="filter" placeholder="Filter files" aria-label="filter files" />
+        <label class="legend"><input type="checkbox" id="belowOnly" /> only files below
+          <input type="number" id="belowPct" min="0" max="100" step="1" value="${escapeHtml(String(threshold))}" aria-label="line coverage percentage" />% lines</label>
+        <button type="button" id="expandAll">Expand all</button>
+        <button type="button" id="collapseAll">Collapse all</button>
+      </div>
+      <table class="files" id="fileTable">
+        <thead><tr>
+          <th data-key="name" aria-sort="ascending">File</th>
+          <th data-key="lines">Lines</th>
+          <th data-key="branches">Branches</th>
+          <th data-key="functions">Functions</th>
+        </tr></thead>
+        <tbody></tbody>
+      </table>
+    </section>
     <div class="legend" style="margin:10px 2px 0;">
-      <span><span class="swatch pass"></span> covered + passing</span>
-      <span><span class="swatch fail"></span> covered + failing (from Jest stack traces)</span>
-      <span><span class="swatch none"></span> not covered</span>
+      <span><span class="swatch pass"></span> ${GUTTER_MARKERS['covered-pass']} covered + passing</span>
+      <span><span class="swatch partial"></span> ${GUTTER_MARKERS['covered-partial']} partially covered (hover for branches)</span>
+      <span><span class="swatch fail"></span> ${GUTTER_MARKERS['covered-fail']} covered + failing (${tests ? 'executed by a failing test' : 'from Jest stack traces'})</span>
+      <span><span class="swatch none"></span> ${GUTTER_MARKERS.missed} not covered</span>
     </div>
     ${fileSections}
   </div>
+  <script type="application/json" id="fileIndex">${JSON.stringify(fileIndex).replace(/</g, '\\u003c')}</script>
+  <script type="application/json" id="testIndex">${JSON.stringify(tests || []).replace(/</g, '\\u003c')}</script>
   <script>
     (function () {
-      const sel = document.getElementById('fileSel');
-      function show(file) {
-        document.querySelectorAll('section.file').forEach(s => {
-          s.style.display = (s.getAttribute('data-file') === file) ? 'block' : 'none';
+      const files = JSON.parse(document.getElementById('fileIndex').textContent);
+      const sections = document.querySelectorAll('section.file');
+      const indexView = document.getElementById('indexView');
+      const tbody = document.querySelector('#fileTable tbody');
+      const filterInput = document.getElementById('filter');
+      const belowOnly = document.getElementById('belowOnly');
+      const belowPct = document.getElementById('belowPct');
+      const METRIC_KEYS = ['lines', 'branches', 'functions'];
+      const collapsed = new Set();
+      let sortKey = 'name';
+      let sortDir = 1;
+
+      // Directory tree with covered/total roll-ups per folder
+      const root = { name: '', path: '', dirs: new Map(), files: [] };
+      files.forEach((f) => {
+        const parts = f.path.split('/');
+        let node = root;
+        parts.slice(0, -1).forEach((part, i) => {
+          if (!node.dirs.has(part)) node.dirs.set(part, { name: part, path: parts.slice(0, i + 1).join('/'), dirs: new Map(), files: [] });
+          node = node.dirs.get(part);
+        });
+        node.files.push(Object.assign({ name: parts[parts.length - 1] }, f));
+      });
+      (function rollUp(node) {
+        METRIC_KEYS.forEach((k) => { node[k] = [0, 0]; });
+        const children = Array.from(node.dirs.values()).map(rollUp).concat(node.files);
+        children.forEach((c) => METRIC_KEYS.forEach((k) => { node[k][0] += c[k][0] || 0; node[k][1] += c[k][1] || 0; }));
+        return node;
+      })(root);
+
+      const pct = (m) => (m[1] > 0 ? (m[0] / m[1]) * 100 : null);
+      const esc = (s) => String(s).replace(/[&<>"']/g, (c) => '&#' + c.charCodeAt(0) + ';');
+      function metricCell(m) {
+        const p = pct(m);
+        if (p === null) return '<td><span class="pct">n/a</span></td>';
+        const low = p < Number(belowPct.value) ? ' low' : '';
+        return '<td><span class="pct">' + p.toFixed(2) + '%</span><span class="bar' + low + '"><span style="width:' + p.toFixed(1) + '%"></span></span><span class="counts">' + m[0] + '/' + m[1] + '</span></td>';
+      }
+      function compare(a, b) {
+        if (sortKey === 'name') return sortDir * a.name.localeCompare(b.name);
+        const pa = pct(a[sortKey]);
+        const pb = pct(b[sortKey]);
+        if (pa === pb) return a.name.localeCompare(b.name);
+        if (pa === null) return 1;
+        if (pb === null) return -1;
+        return sortDir * (pa - pb);
+      }
+      function isVisible(f) {
+        const text = filterInput.value.trim().toLowerCase();
+        if (text && !f.path.toLowerCase().includes(text)) return false;
+        if (belowOnly.checked) {
+          const p = pct(f.lines);
+          if (p === null || p >= Number(belowPct.value)) return false;
+        }
+        return true;
+      }
+      function hasVisible(node) {
+        return node.files.some(isVisible) || Array.from(node.dirs.values()).some(hasVisible);
+      }
+      function render() {
+        const filtering = filterInput.value.trim() !== '' || belowOnly.checked;
+        const rows = [];
+        (function walk(node, depth) {
+          Array.from(node.dirs.values()).sort(compare).forEach((d) => {
+            if (!hasVisible(d)) return;
+            const open = filtering || !collapsed.has(d.path);
+            rows.push('<tr class="dir"><td style="padding-left:' + (10 + depth * 18) + 'px"><button type="button" class="twisty" data-dir="' + esc(d.path) + '" aria-expanded="' + open + '">' + (open ? '▾' : '▸') + '</button>' + esc(d.name) + '/</td>' + METRIC_KEYS.map((k) => metricCell(d[k])).join('') + '</tr>');
+            if (open) walk(d, depth + 1);
+          });
+          node.files.filter(isVisible).sort(compare).forEach((f) => {
+            rows.push('<tr class="file"><td style="padding-left:' + (10 + depth * 18 + 20) + 'px"><a href="' + esc(f.page || '') + '#file=' + encodeURIComponent(f.path) + '">' + esc(f.name) + '</a></td>' + METRIC_KEYS.map((k) => metricCell(f[k])).join('') + '</tr>');
+          });
+        })(root, 0);
+        tbody.innerHTML = rows.length ? rows.join('') : '<tr><td colspan="4" class="counts">No files match.</td></tr>';
+      }
+
+      document.querySelectorAll('#fileTable th').forEach((th) => {
+        th.addEventListener('click', () => {
+          const key = th.getAttribute('data-key');
+          sortDir = key === sortKey ? -sortDir : 1;
+          sortKey = key;
+          document.querySelectorAll('#fileTable th').forEach((h) => h.removeAttribute('aria-sort'));
+          th.setAttribute('aria-sort', sortDir === 1 ? 'ascending' : 'descending');
+          render();
         });
+      });
+      tbody.addEventListener('click', (e) => {
+        const btn = e.target.closest('.twisty');
+        if (!btn) return;
+        const dir = btn.getAttribute('data-dir');
+        if (collapsed.has(dir)) collapsed.delete(dir);
+        else collapsed.add(dir);
+        render();
+      });
+      document.getElementById('expandAll').addEventListener('click', () => { collapsed.clear(); render(); });
+      document.getElementById('collapseAll').addEventListener('click', () => {
+        (function walk(node) { node.dirs.forEach((d) => { collapsed.add(d.path); walk(d); }); })(root);
+        render();
+      });
+      [filterInput, belowOnly, belowPct].forEach((el) => el.addEventListener('input', render));
+
+      // Routing: "#file=<path>[&L=<line>[-<end>]]" shows one painted file (optionally a line range), anything else the index
+      const current = { idx: null, line: 0 };
+      function route() {
+        const params = new URLSearchParams(location.hash.slice(1));
+        let f = files.find((x) => x.path === params.get('file'));
+        if (f && f.page) {
+          // Split layout: deep links into the index page forward to the file's own page
+          location.replace(f.page + location.hash);
+          return;
+        }
+        if (!f && document.body.hasAttribute('data-single-file')) f = files[0];
+        const idx = f ? f.idx : null;
+        const range = (params.get('L') || '').split('-').map(Number);
+        const start = range[0] > 0 ? range[0] : 0;
+        const end = range[1] >= start ? range[1] : start;
+        indexView.style.display = idx === null ? 'block' : 'none';
+        sections.forEach((s, i) => { s.style.display = i === idx ? 'block' : 'none'; });
+        document.querySelectorAll('.row.selected').forEach((r) => r.classList.remove('selected'));
+        current.idx = idx;
+        current.line = start;
+        const first = idx !== null && start ? document.getElementById('f' + idx + '-L' + start) : null;
+        if (first) {
+          for (let l = start; l <= end; l++) {
+            const row = document.getElementById('f' + idx + '-L' + l);
+            if (row) row.classList.add('selected');
+          }
+          first.scrollIntoView({ block: 'center' });
+        } else {
+          window.scrollTo(0, 0);
+        }
+      }
+      window.addEventListener('hashchange', route);
+      render();
+      route();
+
+      // Keyboard: n / p = next / previous uncovered block, f = next failing line (wrapping around)
+      function goTo(start, end) {
+        location.hash = 'file=' + encodeURIComponent(files[current.idx].path) + '&L=' + (end > start ? start + '-' + end : start);
+      }
+      document.addEventListener('keydown', (e) => {
+        if (current.idx === null || e.ctrlKey || e.metaKey || e.altKey) return;
+        if (['INPUT', 'TEXTAREA', 'SELECT', 'BUTTON'].indexOf(e.target.tagName) >= 0) return;
+        const section = sections[current.idx];
+        if (e.key === 'n' || e.key === 'p') {
+          const blocks = section.getAttribute('data-blocks').split(' ').filter(Boolean).map((b) => b.split('-').map(Number));
+          if (!blocks.length) return;
+          const next = e.key === 'n'
+            ? blocks.find((b) => b[0] > current.line) || blocks[0]
+            : blocks.filter((b) => b[0] < current.line).pop() || blocks[blocks.length - 1];
+          goTo(next[0], next[1]);
+        } else if (e.key === 'f') {
+          const failing = section.getAttribute('data-failing').split(' ').filter(Boolean).map(Number);
+          if (!failing.length) return;
+          const next = failing.find((l) => l > current.line) || failing[0];
+          goTo(next, next);
+        }
+      });
+
+      // Theme / palette switcher (the initial choice is applied in <head>)
+      const themeSelect = document.getElementById('theme');
+      const colorblind = document.getElementById('colorblind');
+      const rootEl = document.documentElement;
+      function remember(key, value) {
+        try {
+          localStorage.setItem(key, value);
+        } catch (err) {
+          // Not persisted; the choice still applies to this page
+        }
       }
-      sel.addEventListener('change', () => show(sel.value));
-      show(sel.value);
+      themeSelect.value = rootEl.getAttribute('data-theme');
+      colorblind.checked = rootEl.getAttribute('data-palette') === 'colorblind';
+      themeSelect.addEventListener('change', () => {
+        rootEl.setAttribute('data-theme', themeSelect.value);
+        remember('code-painting-theme', themeSelect.value);
+      });
+      colorblind.addEventListener('change', () => {
+        const palette = colorblind.checked ? 'colorblind' : 'default';
+        rootEl.setAttribute('data-palette', palette);
+        remember('code-painting-palette', palette);
+      });
+
+      // Per-test coverage: click a line to list the tests that executed it
+      const tests = JSON.parse(document.getElementById('testIndex').textContent);
+      document.addEventListener('click', (e) => {
+        const row = e.target.closest('.row[data-tests]');
+        if (!row || e.target.closest('a')) return;
+        const open = row.nextElementSibling;
+        if (open && open.classList.contains('testList')) {
+          open.remove();
+          return;
+        }
+        const list = document.createElement('ul');
+        list.className = 'testList';
+        row.getAttribute('data-tests').split(',').map(Number).forEach((i) => {
+          const t = tests[i];
+          const item = document.createElement('li');
+          item.className = t.status;
+          item.textContent = (t.status === 'failed' ? '\u274c ' : '\u2705 ') + t.testFile + ' \u203a ' + t.name;
+          list.appendChild(item);
+        });
+        row.after(list);
+      });
     })();
   </script>
 </body>
 </html>`;
 }
 
-async function githubApi({ token, url, method, body }) {
-  const res = await fetch(url, {
-    method,
-    headers: {
-      Accept: 'application/vnd.github+json',
-      Authorization: `Bearer ${token}`,
-      'X-GitHub-Api-Version': '2022-11-28',
-      'Content-Type': 'application/json',
-    },
-    body: body ? JSON.stringify(body) : undefined,
-  });
-  if (!res.ok) {
-    const t = await res.text();
-    throw new Error(`GitHub API error ${res.status} ${res.statusText}: ${t}`);
-  }
-  return res.status === 204 ? null : res.json();
-}
-
-async function upsertPrComment({ token, owner, repo, prNumber, strategy, marker, body }) {
-  const base = process.env.GITHUB_API_URL || 'https://api.github.com';
-  const listUrl = `${base}/repos/${owner}/${repo}/issues/${prNumber}/comments?per_page=100`;
-  const comments = await githubApi({ token, url: listUrl, method: 'GET' });
+async function upsertPrComment({ client, owner, repo, prNumber, strategy, marker, body }) {
+  const commentsPath = `/repos/${owner}/${repo}/issues/${prNumber}/comments`;
+  const comments = await client.paginate(`${commentsPath}?per_page=100`);
   const existing = comments.find((c) => typeof c.body === 'string' && c.body.includes(marker));
 
   if (strategy === 'ADD' || !existing) {
-    const createUrl = `${base}/repos/${owner}/${repo}/issues/${prNumber}/comments`;
-    await githubApi({ token, url: createUrl, method: 'POST', body: { body } });
+    await client.request('POST', commentsPath, { body });
     return;
   }
 
   if (strategy === 'REMOVE') {
-    const delUrl = `${base}/repos/${owner}/${repo}/issues/comments/${existing.id}`;
-    await githubApi({ token, url: delUrl, method: 'DELETE' });
-    const createUrl = `${base}/repos/${owner}/${repo}/issues/${prNumber}/comments`;
-    await githubApi({ token, url: createUrl, method: 'POST', body: { body } });
+    await client.request('DELETE', `/repos/${owner}/${repo}/issues/comments/${existing.id}`);
+    await client.request('POST', commentsPath, { body });
     return;
   }
 
   // UPDATE
-  const updUrl = `${base}/repos/${owner}/${repo}/issues/comments/${existing.id}`;
-  await githubApi({ token, url: updUrl, method: 'PATCH', body: { body } });
+  await client.request('PATCH', `/repos/${owner}/${repo}/issues/comments/${existing.id}`, { body });
+}
+
+// Inline review comments carry this marker plus the block's key and the line range they were posted for
+const REVIEW_MARKER = '<!-- code-painting-action:review';
+
+function blockKey(path, sourceLines) {
+  // Stable across runs while the block's code is unchanged, wherever it sits in the file
+  const hash = crypto.createHash('sha256').update(sourceLines.join('\n')).digest('hex').slice(0, 16);
+  return `${encodeURIComponent(path)}#${hash}`;
+}
+
+function uncoveredChangedBlocks(files, changedLines) {
+  // Added/modified lines that no test executes -> [{ path, start, end, key }]. A block only
+  // bridges lines that were changed too (e.g. blank lines), so it never leaves its diff hunk.
+  const blocks = [];
+  for (const f of files) {
+    const changed = changedLines.get(f.relPath);
+    if (!changed) continue;
+    const uncovered = [...changed].filter((l) => f.lineHits.get(l) === 0);
+    const bridge = (from, to) => {
+      for (let l = from + 1; l < to; l++) if (!changed.has(l) || f.lineHits.has(l)) return false;
+      return true;
+    };
+    for (const r of toLineRanges(uncovered, bridge)) {
+      blocks.push({ path: f.relPath, start: r.start, end: r.end, key: blockKey(f.relPath, f.sourceLines.slice(r.start - 1, r.end)) });
+    }
+  }
+  return blocks;
+}
+
+function reviewCommentBody({ start, end, key }, resolvedAt = null) {
+  const range = start === end ? `${start}` : `${start}-${end}`;
+  const marker = `${REVIEW_MARKER}${key ? ` key=${key}` : ''} lines=${range}${resolvedAt ? ' resolved' : ''} -->`;
+  const subject = start === end ? `Line ${start} was` : `Lines ${start}-${end} were`;
+  if (resolvedAt) return `${marker}\n~~${subject} added without test coverage.~~ No longer uncovered as of ${resolvedAt}.`;
+  return `${marker}\n**Not covered by tests:** ${subject} added or changed in this pull request, but no test executes ${start === end ? 'it' : 'them'}.`;
+}
+
+function parseReviewMarker(body) {
+  // -> { key, start, end, resolved } for comments posted by reviewCommentBody, else null.
+  // Comments from before blocks had keys parse with key null and never match a block.
+  const m = /<!-- code-painting-action:review(?: key=(\S+))? lines=(\d+)(?:-(\d+))?( resolved)? -->/.exec(body || '');
+  if (!m) return null;
+  return { key: m[1] || null, start: Number(m[2]), end: Number(m[3] || m[2]), resolved: Boolean(m[4]) };
+}
+
+async function resolveReviewThreads({ client, owner, repo, prNumber, commentIds }) {
+  // Review threads can only be resolved through GraphQL
+  const query = `query($owner: String!, $repo: String!, $number: Int!, $cursor: String) {
+    repository(owner: $owner, name: $repo) {
+      pullRequest(number: $number) {
+        reviewThreads(first: 100, after: $cursor) {
+          nodes { id isResolved comments(first: 1) { nodes { databaseId } } }
+          pageInfo { hasNextPage endCursor }
+        }
+      }
+    }
+  }`;
+  const threadIds = [];
+  let cursor = null;
+  do {
+    const data = await client.graphql(query, { owner, repo, number: prNumber, cursor });
+    const threads = data.repository.pullRequest.reviewThreads;
+    for (const t of threads.nodes) {
+      if (!t.isResolved && commentIds.has(t.comments.nodes[0]?.databaseId)) threadIds.push(t.id);
+    }
+    cursor = threads.pageInfo.hasNextPage ? threads.pageInfo.endCursor : null;
+  } while (cursor);
+  for (const threadId of threadIds) {
+    await client.graphql('mutation($id: ID!) { resolveReviewThread(input: { threadId: $id }) { thread { id } } }', { id: threadId });
+  }
+}
+
+async function syncReviewComments({ client, owner, repo, prNumber, blocks, maxComments }) {
+  // One review with a comment per new uncovered block. An earlier comment is kept (and
+  // its range text updated) only while it still sits on the end line of a block with the
+  // same key, i.e. GitHub followed the unchanged code. Comments on covered, changed or
+  // moved blocks and outdated ones (line null) are marked and their threads resolved;
+  // a block that moved gets a new comment. -> { created, updated, resolved, dropped }
+  const pr = await client.request('GET', `/repos/${owner}/${repo}/pulls/${prNumber}`);
+  const headSha = pr.head.sha;
+  const previous = (await client.paginate(`/repos/${owner}/${repo}/pulls/${prNumber}/comments?per_page=100`))
+    .map((comment) => ({ comment, marker: parseReviewMarker(comment.body) }))
+    .filter((p) => p.marker && !p.marker.resolved);
+
+  const kept = new Set();
+  const pending = [];
+  let updated = 0;
+  for (const block of blocks) {
+    const match = previous.find(
+      (p) => !kept.has(p) && p.marker.key === block.key && p.comment.path === block.path && p.comment.line === block.end
+    );
+    if (!match) {
+      pending.push(block);
+      continue;
+    }
+    kept.add(match);
+    const body = reviewCommentBody(block);
+    if (match.comment.body !== body) {
+      await client.request('PATCH', `/repos/${owner}/${repo}/pulls/comments/${match.comment.id}`, { body });
+      updated++;
+    }
+  }
+
+  const stale = previous.filter((p) => !kept.has(p));
+  for (const p of stale) {
+    await client.request('PATCH', `/repos/${owner}/${repo}/pulls/comments/${p.comment.id}`, {
+      body: reviewCommentBody(p.marker, headSha.slice(0, 7)),
+    });
+  }
+  if (stale.length) {
+    try {
+      await resolveReviewThreads({ client, owner, repo, prNumber, commentIds: new Set(stale.map((p) => p.comment.id)) });
+    } catch (err) {
+      console.log(`::warning::Could not resolve outdated review threads: ${err.message}`);
+    }
+  }
+
+  const toCreate = pending.slice(0, maxComments);
+  const dropped = pending.length - toCreate.length;
+  if (toCreate.length) {
+    await client.request('POST', `/repos/${owner}/${repo}/pulls/${prNumber}/reviews`, {
+      commit_id: headSha,
+      event: 'COMMENT',
+      body: `${REVIEW_MARKER} -->\n**Code painting:** ${toCreate.length} new uncovered block(s) in this pull request${
+        dropped ? ` (${dropped} more not commented, max-review-comments=${maxComments}; see the report artifact)` : ''
+      }.`,
+      comments: toCreate.map((b) => ({
+        path: b.path,
+        line: b.end,
+        side: 'RIGHT',
+        ...(b.start < b.end ? { start_line: b.start, start_side: 'RIGHT' } : {}),
+        body: reviewCommentBody(b),
+      })),
+    });
+  }
+  return { created: toCreate.length, updated, resolved: stale.length, dropped };
+}
+
+// GitHub accepts at most 50 annotations per check run create/update call
+const CHECK_RUN_ANNOTATION_BATCH = 50;
+const CHECK_RUN_MAX_ANNOTATIONS = 250; // per level
+
+function pullRequestHeadSha() {
+  // Head commit of the pull request that triggered the run, or null
+  const eventPath = process.env.GITHUB_EVENT_PATH;
+  if (!eventPath || !exists(eventPath)) return null;
+  return JSON.parse(readText(eventPath)).pull_request?.head?.sha || null;
+}
+
+function checkRunHeadSha() {
+  // Pull request runs check out a merge commit by default; the check belongs on the PR head
+  const headSha = pullRequestHeadSha();
+  if (headSha) return headSha;
+  if (process.env.GITHUB_SHA) return process.env.GITHUB_SHA;
+  throw new Error('report-mode check-run needs GITHUB_SHA or a pull_request event to find the commit to report on');
+}
+
+function checkRunConclusion(gate, patch) {
+  // The quality gate and, with base-ref, patch coverage must both pass
+  return gate.status === 'PASS' && (!patch || patch.status === 'PASS') ? 'success' : 'failure';
+}
+
+async function createCheckRun({ client, owner, repo, name, headSha, conclusion, output, annotations }) {
+  // output: { title, summary, text }; annotations beyond the first batch are appended
+  // by updating the same output. -> the check run, or null when it could not be created
+  // (e.g. a pull request from a fork, whose token is read-only); the step summary is the
+  // report then.
+  const batches = [];
+  for (let i = 0; i < annotations.length; i += CHECK_RUN_ANNOTATION_BATCH) batches.push(annotations.slice(i, i + CHECK_RUN_ANNOTATION_BATCH));
+  let run;
+  try {
+    run = await client.request('POST', `/repos/${owner}/${repo}/check-runs`, {
+      name,
+      head_sha: headSha,
+      status: 'completed',
+      conclusion,
+      output: { ...output, annotations: batches[0] || [] },
+    });
+  } catch (err) {
+    console.log(`::warning::Could not create check run "${name}", see the step summary instead: ${err.message}`);
+    return null;
+  }
+  try {
+    for (const batch of batches.slice(1)) {
+      await client.request('PATCH', `/repos/${owner}/${repo}/check-runs/${run.id}`, { output: { ...output, annotations: batch } });
+    }
+  } catch (err) {
+    console.log(`::warning::Check run "${name}" is missing some annotations: ${err.message}`);
+  }
+  return run;
 }
 
 async function main() {
   const repoRoot = process.env.GITHUB_WORKSPACE || process.cwd();
 
-  const title = getInput('title', 'Code Painting');
-  const lcovPath = path.resolve(repoRoot, getInput('lcov-path', 'coverage/lcov.info'));
+  const configInput = getInput('config-path', '');
+  const configPath = path.resolve(repoRoot, configInput || '.codepainting.json');
+  let config = {};
+  if (exists(configPath)) config = loadConfig(configPath);
+  else if (configInput) throw new Error(`Missing config file: ${configPath}`);
+  const settings = validateSettings(resolveSettings(config));
+
+  const title = settings.title;
+  const coberturaSpec = getInput('cobertura-path', '');
+  const istanbulSpec = getInput('coverage-final-json', '');
+  // LCOV is the default format, but only when no other format was asked for
+  const lcovSpec = getInput('lcov-path', coberturaSpec || istanbulSpec ? '' : 'coverage/lcov.info');
   const summaryPath = path.resolve(repoRoot, getInput('coverage-summary-json', 'coverage/coverage-summary.json'));
   const jestResultsPath = path.resolve(repoRoot, getInput('jest-results-json', 'jest-results.json'));
   const outDir = path.resolve(repoRoot, getInput('output-dir', 'code-painting-report'));
   const prNumber = getInput('pr-number', '');
   const token = getInput('github-token', '');
-  const commentsStrategy = getInput('comments-strategy', 'UPDATE').toUpperCase();
-  const threshold = asNumber(getInput('coverage-threshold', '80'), 80);
+  const commentsStrategy = settings.commentsStrategy;
+  const gateRules = buildGateRules({
+    totals: settings.thresholds,
+    perFile: settings.thresholds.file,
+    overrides: settings.overrides,
+  });
+  const baseRef = getInput('base-ref', '');
+  const patchThreshold = settings.thresholds.patch;
+  const baselineInput = getInput('baseline-report', '');
+  const baselinePath = baselineInput ? path.resolve(repoRoot, baselineInput) : null;
+  const junitInput = getInput('junit-path', '');
+  const junitPath = junitInput ? path.resolve(repoRoot, junitInput) : null;
+
+  const coverageInputs = [];
+  for (const [format, label, spec] of [
+    ['lcov', 'LCOV', lcovSpec],
+    ['cobertura', 'Cobertura XML', coberturaSpec],
+    ['istanbul', 'Istanbul coverage JSON', istanbulSpec],
+  ]) {
+    if (!spec) continue;
+    const paths = resolveInputPaths(repoRoot, spec);
+    if (paths.length === 0) throw new Error(`No ${label} files match: ${spec}`);
+    for (const p of paths) {
+      if (!exists(p)) throw new Error(`Missing ${label} file: ${p}`);
+      coverageInputs.push({ format, path: p });
+    }
+  }
+
+  const pathMapper = createPathMapper(repoRoot, settings.pathRewrites);
+  const records = new Map(); // relFile -> coverage record, merged across every input file
+  for (const input of coverageInputs) {
+    const baseDir = coverageProjectDir(repoRoot, input.path);
+    const text = readText(input.path);
+    let parsed;
+    if (input.format === 'lcov') parsed = parseLcov(text, pathMapper, baseDir);
+    else if (input.format === 'cobertura') parsed = parseCobertura(text, pathMapper, repoRoot, baseDir);
+    else parsed = parseIstanbulJson(JSON.parse(text), pathMapper, baseDir);
+    mergeCoverageMaps(records, parsed);
+  }
 
-  if (!exists(summaryPath)) throw new Error(`Missing coverage summary JSON: ${summaryPath}`);
-  if (!exists(lcovPath)) throw new Error(`Missing LCOV file: ${lcovPath}`);
+  // Coverage collected on built output is painted onto the original sources
+  const sourceMaps = [];
+  if (settings.sourceMaps) {
+    for (const [relPath, record] of [...records]) {
+      let consumer;
+      try {
+        consumer = readSourceMap(path.resolve(repoRoot, relPath));
+      } catch (err) {
+        console.log(`::warning::Ignoring source map of "${relPath}": ${err.message}`);
+        continue;
+      }
+      if (!consumer) continue;
+      const remapped = remapCoverageRecord(relPath, record, consumer, pathMapper);
+      records.delete(relPath);
+      mergeCoverageMaps(records, remapped);
+      sourceMaps.push({ generated: relPath, sources: [...remapped.keys()] });
+    }
+    if (sourceMaps.length) console.log(`Remapped coverage of ${sourceMaps.length} generated file(s) through source maps`);
+  }
+
+  const unresolvedPaths = pathMapper.unresolved();
+  for (const source of unresolvedPaths) {
+    console.log(`::warning::Could not map coverage path "${source}" into the repository; add a pathRewrites rule for it`);
+  }
+  for (const { path: relPath, sources } of pathMapper.collisions()) {
+    console.log(`::warning::Coverage paths ${sources.map((x) => `"${x}"`).join(', ')} all map to "${relPath}"; their line data was merged`);
+  }
+  for (const relPath of [...records.keys()]) {
+    if (!isIncluded(relPath, settings)) records.delete(relPath);
+  }
 
-  const { metrics, perFile } = readCoverageSummary(summaryPath);
-  const lcov = parseLcov(readText(lcovPath), repoRoot);
+  // Jest's coverage summary describes a single LCOV run of the painted files;
+  // anything else (merged runs, other formats, remapped output) derives totals
+  // from the parsed records
+  let metrics;
+  let perFile = {};
+  let totalsSource;
+  if (coverageInputs.length === 1 && coverageInputs[0].format === 'lcov' && sourceMaps.length === 0 && exists(summaryPath)) {
+    ({ metrics, perFile } = readCoverageSummary(summaryPath));
+    totalsSource = 'coverage-summary';
+    if (settings.include.length || settings.exclude.length) {
+      // Jest's total counts every instrumented file; recount it over the included ones
+      perFile = Object.fromEntries(
+        Object.entries(perFile).filter(([k]) => {
+          const rel = pathMapper.resolve(k);
+          return rel !== null && isIncluded(rel, settings);
+        }),
+      );
+      metrics = totalsFromSummaryFiles(perFile);
+    }
+  } else {
+    metrics = totalsFromRecords(records);
+    totalsSource = 'coverage-data';
+    console.log(`Deriving totals from ${coverageInputs.length} coverage file(s)`);
+  }
 
   let jestJson = null;
   if (exists(jestResultsPath)) {
@@ -591,105 +3114,421 @@ async function main() {
       // ignore
     }
   }
-  const failingLocs = parseJestFailureLocations(jestJson, repoRoot);
 
-  // Build per-file report list from LCOV (best source for line-level mapping)
+  // Per-test coverage (when recorded) replaces guessing failing lines from stack traces
+  const perTestSpec = getInput('per-test-coverage', '');
+  let perTest = null;
+  const perTestFiles = [];
+  if (perTestSpec) {
+    for (const p of resolveInputPaths(repoRoot, perTestSpec)) {
+      if (!exists(p)) throw new Error(`Missing per-test coverage: ${p}`);
+      if (fs.statSync(p).isDirectory()) {
+        for (const name of fs.readdirSync(p).sort()) if (name.endsWith('.json')) perTestFiles.push(path.join(p, name));
+      } else {
+        perTestFiles.push(p);
+      }
+    }
+    if (perTestFiles.length === 0) {
+      console.log(`::warning::No per-test coverage files found in ${perTestSpec}; falling back to Jest stack traces`);
+    } else {
+      perTest = parsePerTestCoverage(
+        perTestFiles.map((p) => ({ doc: JSON.parse(readText(p)), baseDir: coverageProjectDir(repoRoot, p) })),
+        pathMapper
+      );
+      console.log(`Read per-test coverage of ${perTest.tests.length} test(s) from ${perTestFiles.length} file(s)`);
+    }
+  }
+  const failingLocs = perTest ? failingLinesFromPerTest(perTest) : parseJestFailureLocations(jestJson, pathMapper);
+
+  let patch = null;
+  let changedLines = null;
+  if (baseRef) {
+    try {
+      changedLines = gitChangedLines(repoRoot, baseRef);
+      patch = computePatchCoverage(changedLines, records, patchThreshold);
+      // Review comments and check runs are anchored to the PR head, but their line numbers come from HEAD
+      const prHead = pullRequestHeadSha();
+      if (prHead && (settings.reviewComments || settings.reportMode === 'check-run') && gitHeadSha(repoRoot) !== prHead) {
+        console.log(
+          `::warning::The checked-out commit is not the pull request head ${prHead.slice(0, 7)} (usually the merge commit); ` +
+            'line comments and annotations may land on the wrong lines. Check out github.event.pull_request.head.sha.'
+        );
+      }
+    } catch (err) {
+      // Usually a shallow checkout; the rest of the report is still useful
+      const reason = String(err.stderr || err.message).trim().split('\n')[0];
+      console.log(`::warning::Could not compute patch coverage against ${baseRef}: ${reason}`);
+    }
+  }
+
+  // Build per-file report list from the coverage records (best source for line-level mapping)
   const files = [];
-  for (const [relPath, lineHits] of [...lcov.entries()].sort((a, b) => a[0].localeCompare(b[0]))) {
+  for (const [relPath, record] of [...records.entries()].sort((a, b) => a[0].localeCompare(b[0]))) {
     const absPath = path.resolve(repoRoot, relPath);
-    if (!exists(absPath)) continue;
+    if (!exists(absPath)) {
+      console.log(`::warning::Coverage for "${relPath}" was skipped: no such file in the repository`);
+      continue;
+    }
     const src = readText(absPath);
     const sourceLines = src.split(/\r?\n/);
 
-    const jestKey = Object.keys(perFile).find((k) => normalizeToRepoRel(repoRoot, k) === relPath);
+    const jestKey = Object.keys(perFile).find((k) => pathMapper.resolve(k) === relPath);
     const fileCoveragePct = jestKey ? asNumber(perFile[jestKey]?.lines?.pct, NaN) : NaN;
 
-    files.push({
+    const file = {
       relPath,
       absPath,
       sourceLines,
-      lineHits,
+      lineHits: record.lineHits,
+      branches: record.branches,
+      branchesFound: record.branchesFound,
+      branchesHit: record.branchesHit,
+      functions: record.functions,
+      functionsFound: record.functionsFound,
+      functionsHit: record.functionsHit,
+      statements: record.statements,
+      statementsFound: record.statementsFound,
+      statementsHit: record.statementsHit,
       failingLines: failingLocs.get(relPath) || new Set(),
+      lineTests: perTest ? perTest.lineTests.get(relPath) || new Map() : null,
       fileCoveragePct,
+      summary: jestKey ? perFile[jestKey] : null,
+    };
+    file.metrics = fileMetrics(file);
+    files.push(file);
+  }
+
+  const gate = evaluateQualityGate({ metrics, files, rules: gateRules });
+
+  let annotationCounts = null;
+  if (settings.annotations && !changedLines) {
+    console.log('::warning::Annotations are limited to changed lines and need base-ref; none were emitted');
+  } else if (settings.annotations) {
+    const { annotations, dropped } = buildWorkflowAnnotations({
+      files,
+      changedLines,
+      tests: perTest ? perTest.tests : [],
+      maxPerLevel: settings.maxAnnotations,
     });
+    for (const a of annotations) {
+      console.log(workflowCommand(a.level, { file: a.file, line: a.line, endLine: a.endLine, title: a.title }, a.message));
+    }
+    if (dropped.error || dropped.warning) {
+      console.log(
+        `${dropped.error + dropped.warning} more annotation(s) were not emitted (max-annotations=${settings.maxAnnotations}); see the report artifact`
+      );
+    }
+    annotationCounts = {
+      error: annotations.filter((a) => a.level === 'error').length,
+      warning: annotations.filter((a) => a.level === 'warning').length,
+      dropped,
+    };
   }
 
   // Write outputs
   fs.mkdirSync(outDir, { recursive: true });
   const indexHtmlPath = path.join(outDir, 'index.html');
-  writeText(indexHtmlPath, buildHtmlReport({ title, files }));
+  const htmlReport = writeHtmlReport(outDir, {
+    title,
+    files,
+    tests: perTest ? perTest.tests : null,
+    threshold: settings.thresholds.lines,
+    layout: settings.htmlLayout,
+    budgetBytes: Math.round(settings.htmlSizeBudgetMb * 1024 * 1024),
+  });
+  if (htmlReport.layout === 'split') {
+    console.log(
+      `HTML report split into ${htmlReport.pageCount} file page(s): index ${formatBytes(htmlReport.indexBytes)}, ` +
+        `largest page ${formatBytes(htmlReport.largestPageBytes)}, total ${formatBytes(htmlReport.totalBytes)}`
+    );
+  }
 
   const reportJson = {
     title,
     generatedAt: new Date().toISOString(),
     inputs: {
-      lcovPath: path.relative(repoRoot, lcovPath),
-      coverageSummaryJson: path.relative(repoRoot, summaryPath),
+      config: exists(configPath) ? path.relative(repoRoot, configPath) : null,
+      coverageFiles: coverageInputs.map((i) => ({ format: i.format, path: path.relative(repoRoot, i.path) })),
+      coverageSummaryJson: totalsSource === 'coverage-summary' ? path.relative(repoRoot, summaryPath) : null,
       jestResultsJson: exists(jestResultsPath) ? path.relative(repoRoot, jestResultsPath) : null,
+      perTestCoverage: perTestFiles.map((p) => path.relative(repoRoot, p)),
+      baselineReport: baselinePath ? path.relative(repoRoot, baselinePath) : null,
+      baseRef: baseRef || null,
     },
-    qualityGate: {
-      metric: 'lines',
-      threshold,
-      value: asNumber(metrics.lines.pct, 0),
-      status: asNumber(metrics.lines.pct, 0) >= threshold ? 'PASS' : 'FAIL',
+    qualityGate: gate,
+    patchCoverage: patch,
+    pathMapping: {
+      rules: settings.pathRewrites.map(describePathRewrite),
+      sources: pathMapper.entries(),
+      unresolved: unresolvedPaths,
+      collisions: pathMapper.collisions(),
     },
+    sourceMaps,
+    failingLinesSource: perTest ? 'per-test-coverage' : 'jest-stack-traces',
+    tests: perTest ? perTest.tests : null,
+    testMap: perTest ? 'test-map.json' : null,
+    annotations: annotationCounts,
+    htmlReport,
+    totalsSource,
     totals: metrics,
+    delta: null,
     files: files.map((f) => ({
       path: f.relPath,
       lineCoveragePct: Number.isFinite(f.fileCoveragePct) ? f.fileCoveragePct : null,
       failingLineCount: f.failingLines ? f.failingLines.size : 0,
+      coveringTestCount: f.lineTests ? new Set([...f.lineTests.values()].flat()).size : null,
       coveredLineCount: [...f.lineHits.values()].filter((h) => h > 0).length,
       instrumentedLineCount: f.lineHits.size,
+      branchCount: f.branchesFound,
+      coveredBranchCount: f.branchesHit,
+      functionCount: f.functionsFound,
+      coveredFunctionCount: f.functionsHit,
+      uncoveredFunctions: uncoveredFunctions(f).map((fn) => ({ name: fn.name, line: fn.line })),
+      partialLineCount: f.sourceLines.filter((_, i) => paintLine(f, i + 1).state === 'covered-partial').length,
     })),
   };
+
+  const delta = baselinePath ? readCoverageDelta(baselinePath, reportJson) : null;
+  if (delta) {
+    reportJson.delta = delta;
+    const deltaByPath = new Map(delta.files.map((d) => [d.path, d]));
+    for (const entry of reportJson.files) {
+      const d = deltaByPath.get(entry.path);
+      entry.baselineStatus = d.status;
+      entry.lineCoverageDelta = d.delta;
+    }
+  }
   writeText(path.join(outDir, 'report.json'), JSON.stringify(reportJson, null, 2));
+  if (perTest) writeText(path.join(outDir, 'test-map.json'), JSON.stringify(buildTestMap(perTest)));
+  const sarifPath = path.join(outDir, 'coverage.sarif');
+  const failureFrames = parseJestFailureFrames(jestJson, pathMapper);
+  writeText(sarifPath, JSON.stringify(buildSarifReport({ files, failureFrames, repoRoot }), null, 2));
+  if (junitPath) {
+    fs.mkdirSync(path.dirname(junitPath), { recursive: true });
+    writeText(junitPath, buildJUnitReport({ title, gate, patch }));
+  }
 
-  const summaryMd = buildSummaryMarkdown({ title, metrics, threshold, files });
+  const summaryOptions = {
+    title,
+    metrics,
+    gate,
+    files,
+    patch,
+    delta,
+    tests: perTest ? perTest.tests : null,
+    maxFiles: settings.maxFiles,
+    maxLinesPerFile: settings.maxLinesPerFile,
+    context: settings.contextLines,
+  };
+  // summary.md in the artifact is always complete; the step summary and PR comment
+  // drop content until they fit GitHub's limits
+  const summaryMd = buildSummaryMarkdown({ ...summaryOptions, markers: settings.markers });
   writeText(path.join(outDir, 'summary.md'), summaryMd);
 
   // GitHub step summary (supports HTML)
   const stepSummary = process.env.GITHUB_STEP_SUMMARY;
   if (stepSummary) {
-    const htmlSummary = buildHtmlCodePaintingSummary({ title, metrics, threshold, files });
+    const { text: htmlSummary, truncated } = fitToLimit((limits) => buildHtmlCodePaintingSummary({ ...summaryOptions, ...limits }), {
+      maxFiles: settings.maxFiles,
+    });
+    if (truncated) console.log(`Step summary truncated to fit ${GITHUB_TEXT_LIMIT} characters`);
     fs.appendFileSync(stepSummary, htmlSummary);
   }
 
-  // PR comment (optional)
-  if (prNumber && token && process.env.GITHUB_REPOSITORY) {
+  // Check run (report-mode: check-run); its conclusion is the quality gate
+  let checkRunUrl = '';
+  if (settings.reportMode === 'check-run' && !(token && process.env.GITHUB_REPOSITORY)) {
+    console.log('::warning::report-mode check-run needs github-token and GITHUB_REPOSITORY; no check run was created');
+  } else if (settings.reportMode === 'check-run') {
     const [owner, repo] = process.env.GITHUB_REPOSITORY.split('/');
-    const marker = '<!-- code-painting-action -->';
-    const commentBody = `${marker}\n${summaryMd}`;
-    await upsertPrComment({
-      token,
+    const conclusion = checkRunConclusion(gate, patch);
+    const { text: summary } = fitToLimit(
+      (limits) => buildSummaryMarkdown({ ...summaryOptions, markers: settings.markers, ...limits, includeCodePainting: false }),
+      { maxFiles: 0, limit: GITHUB_TEXT_LIMIT - 1 }
+    );
+    const { text: painting } = fitToLimit(
+      ({ maxFiles, includeCodePainting, truncated }) => {
+        const md = [
+          '**Legend:**',
+          ...paintingLegendMarkdown(settings.markers, summaryOptions.tests),
+          '',
+          includeCodePainting
+            ? buildCodePaintingMarkdown({ ...summaryOptions, maxFiles, markers: settings.markers, truncated })
+            : `_Code painting ${TRUNCATED_NOTE}._`,
+        ].join('\n');
+        return settings.markers === 'ascii' ? toAsciiMarkdown(md) : md;
+      },
+      { maxFiles: settings.maxFiles, limit: GITHUB_TEXT_LIMIT - 1 }
+    );
+    // Uncovered (and failing-only) ranges of the changed lines, or of every file without base-ref
+    const { annotations, dropped } = buildWorkflowAnnotations({
+      files,
+      changedLines: changedLines || new Map(files.map((f) => [f.relPath, new Set(f.lineHits.keys())])),
+      tests: perTest ? perTest.tests : [],
+      maxPerLevel: CHECK_RUN_MAX_ANNOTATIONS,
+    });
+    const run = await createCheckRun({
+      client: createGitHubClient({ token }),
       owner,
       repo,
-      prNumber: Number(prNumber),
-      strategy: commentsStrategy,
-      marker,
-      body: commentBody,
+      name: title,
+      headSha: checkRunHeadSha(),
+      conclusion,
+      output: {
+        // Same verdicts as the summary's Quality Gate and Patch Coverage lines
+        title: `Quality gate ${gate.status}${patch ? `, patch coverage ${patch.status}` : ''}: ${metricPctStr(metrics.lines)} lines${
+          patch && patch.pct !== null ? `, ${pctStr(patch.pct)}% of changed lines` : ''
+        }`,
+        summary,
+        text: painting,
+      },
+      annotations: annotations.map((a) => ({
+        path: a.file,
+        start_line: a.line,
+        end_line: a.endLine,
+        annotation_level: a.level === 'error' ? 'failure' : 'warning',
+        title: a.title,
+        message: a.message,
+      })),
     });
+    if (run) {
+      checkRunUrl = run.html_url || '';
+      const droppedCount = dropped.error + dropped.warning;
+      console.log(`Created check run "${title}" (${conclusion})${droppedCount ? `; ${droppedCount} annotation(s) left out` : ''}`);
+    }
+  }
+
+  // PR comment (report-mode: comment) and review comments (optional)
+  if (prNumber && token && process.env.GITHUB_REPOSITORY) {
+    const [owner, repo] = process.env.GITHUB_REPOSITORY.split('/');
+    const client = createGitHubClient({ token });
+    if (settings.reportMode === 'comment') {
+      const marker = '<!-- code-painting-action -->';
+      const { text: commentMd, truncated } = fitToLimit(
+        (limits) => buildSummaryMarkdown({ ...summaryOptions, markers: settings.markers, ...limits }),
+        { maxFiles: settings.maxFiles, limit: GITHUB_TEXT_LIMIT - marker.length - 1 }
+      );
+      if (truncated) console.log(`PR comment truncated to fit ${GITHUB_TEXT_LIMIT} characters`);
+      await upsertPrComment({
+        client,
+        owner,
+        repo,
+        prNumber: Number(prNumber),
+        strategy: commentsStrategy,
+        marker,
+        body: `${marker}\n${commentMd}`,
+      });
+    }
+
+    if (settings.reviewComments && !changedLines) {
+      console.log('::warning::Review comments are limited to changed lines and need base-ref; none were posted');
+    } else if (settings.reviewComments) {
+      // Best effort: a rejected review must not fail the coverage run
+      try {
+        const counts = await syncReviewComments({
+          client,
+          owner,
+          repo,
+          prNumber: Number(prNumber),
+          blocks: uncoveredChangedBlocks(files, changedLines),
+          maxComments: settings.maxReviewComments,
+        });
+        console.log(
+          `Review comments: ${counts.created} created, ${counts.updated} updated, ${counts.resolved} resolved` +
+            (counts.dropped ? `, ${counts.dropped} not posted (max-review-comments=${settings.maxReviewComments})` : '')
+        );
+      } catch (err) {
+        console.log(`::warning::Could not post review comments: ${err.message}`);
+      }
+    }
   }
 
   // Action outputs
   const outFile = process.env.GITHUB_OUTPUT;
-  const gate = asNumber(metrics.lines.pct, 0) >= threshold ? 'PASS' : 'FAIL';
+  // Unknown metrics (e.g. statements when only LCOV is available) are left empty
+  const outputPct = (m) => {
+    const pct = asNumber(m.pct, null);
+    return pct === null ? '' : pctStr(pct);
+  };
   const outputs = [
     `report-dir=${outDir}`,
     `index-html=${indexHtmlPath}`,
-    `line-coverage=${pctStr(asNumber(metrics.lines.pct, 0))}`,
-    `branch-coverage=${pctStr(asNumber(metrics.branches.pct, 0))}`,
-    `function-coverage=${pctStr(asNumber(metrics.functions.pct, 0))}`,
-    `statement-coverage=${pctStr(asNumber(metrics.statements.pct, 0))}`,
-    `quality-gate=${gate}`,
-  ].join('\n');
-  if (outFile) fs.appendFileSync(outFile, outputs + '\n');
+    `sarif-file=${sarifPath}`,
+    `check-run-url=${checkRunUrl}`,
+    `line-coverage=${outputPct(metrics.lines)}`,
+    `branch-coverage=${outputPct(metrics.branches)}`,
+    `function-coverage=${outputPct(metrics.functions)}`,
+    `statement-coverage=${outputPct(metrics.statements)}`,
+    `quality-gate=${gate.status}`,
+    `quality-gate-violations=${gate.violations.length}`,
+    `quality-gate-rules=${JSON.stringify(gate.rules.map(({ id, metric, threshold: min, value, status }) => ({ id, metric, threshold: min, value, status })))}`,
+  ];
+  if (patch) {
+    outputs.push(`patch-coverage=${patch.pct === null ? '' : pctStr(patch.pct)}`, `patch-quality-gate=${patch.status}`);
+  }
+  if (outFile) fs.appendFileSync(outFile, outputs.join('\n') + '\n');
 
   console.log(`Wrote report: ${indexHtmlPath}`);
-  console.log(`Quality gate (lines >= ${threshold}%): ${gate}`);
+  console.log(`Quality gate: ${gate.status}`);
+  for (const r of gate.rules) {
+    console.log(`  ${r.status} ${gateRuleLabel(r)}: ${r.value === null ? 'n/a' : `${pctStr(r.value)}%`} (required ${r.threshold}%)`);
+  }
+  if (patch) console.log(`Patch coverage gate (changed lines >= ${patchThreshold}%): ${patch.status}`);
 }
 
-main().catch((err) => {
-  console.error(err?.stack || err);
-  process.exitCode = 1;
-});
+module.exports = {
+  createPathMapper,
+  parseLcov,
+  paintLine,
+  uncoveredFunctions,
+  buildUncoveredFunctionsMarkdown,
+  parseUnifiedDiff,
+  computePatchCoverage,
+  computeCoverageDelta,
+  formatDelta,
+  readCoverageDelta,
+  globToRegExp,
+  buildGateRules,
+  evaluateQualityGate,
+  loadConfig,
+  resolveSettings,
+  validateSettings,
+  parsePathRewrites,
+  mergeCoverageMaps,
+  totalsFromRecords,
+  totalsFromSummaryFiles,
+  isIncluded,
+  parseCobertura,
+  parseIstanbulJson,
+  parsePerTestCoverage,
+  failingLinesFromPerTest,
+  buildTestMap,
+  isCoveredOnlyByFailingTests,
+  parseUnifiedDiffOldSide,
+  buildWorkflowAnnotations,
+  workflowCommand,
+  parseJestFailureFrames,
+  buildSarifReport,
+  buildJUnitReport,
+  paintingHunks,
+  selectPaintedFiles,
+  GITHUB_TEXT_LIMIT,
+  fitToLimit,
+  uncoveredChangedBlocks,
+  syncReviewComments,
+  checkRunHeadSha,
+  checkRunConclusion,
+  createCheckRun,
+  gitChangedLines,
+  gitChangedOldLines,
+  writeHtmlReport,
+  fileMetrics,
+};
+
+if (require.main === module) {
+  main().catch((err) => {
+    console.error(err?.stack || err);
+    process.exitCode = 1;
+  });
+}
 
@@ -0,0 +1,100 @@
+// Jest test environment that records which lines every individual test executed.
+//
+//   npx jest --coverage --testEnvironment=./.github/actions/code-painting/jest-per-test-environment.js
+//
+// Each test file writes <dir>/<test path>.json, where <dir> is $CODE_PAINTING_PER_TEST_DIR
+// (default coverage/per-test under the Jest rootDir). Point the action's per-test-coverage
+// input at that directory. Works with the default babel coverage provider, which keeps
+// live Istanbul counters in the test global; lines are attributed by diffing statement
+// counters between test_start and test_done. Code that runs outside any test (module
+// load, beforeAll/afterAll) is recorded under a separate "outside tests" entry.
+const fs = require('fs');
+const path = require('path');
+
+const nodeEnvModule = require(require.resolve('jest-environment-node', { paths: [process.cwd(), __dirname] }));
+const NodeEnvironment = nodeEnvModule.TestEnvironment || nodeEnvModule.default || nodeEnvModule;
+
+const OUTSIDE_TESTS = '(outside tests)';
+
+function snapshotCounters(coverage) {
+  const snap = {};
+  for (const [file, fc] of Object.entries(coverage || {})) snap[file] = { ...fc.s };
+  return snap;
+}
+
+function executedLines(coverage, before) {
+  // -> { absFile: [lineNo] } of statements whose counters moved since `before`
+  const out = {};
+  for (const [file, fc] of Object.entries(coverage || {})) {
+    const prev = before[file] || {};
+    const lines = new Set();
+    for (const [id, count] of Object.entries(fc.s || {})) {
+      if (count > (prev[id] || 0) && fc.statementMap[id]) lines.add(fc.statementMap[id].start.line);
+    }
+    if (lines.size) out[file] = [...lines].sort((a, b) => a - b);
+  }
+  return out;
+}
+
+function fullTestName(test) {
+  const names = [];
+  for (let block = test; block; block = block.parent) {
+    if (block.name && block.name !== 'ROOT_DESCRIBE_BLOCK') names.unshift(block.name);
+  }
+  return names.join(' › ');
+}
+
+class PerTestCoverageEnvironment extends NodeEnvironment {
+  constructor(config, context) {
+    super(config, context);
+    const projectConfig = config.projectConfig || config;
+    this.rootDir = projectConfig.rootDir || process.cwd();
+    this.testPath = context.testPath;
+    this.outDir = path.resolve(this.rootDir, process.env.CODE_PAINTING_PER_TEST_DIR || 'coverage/per-test');
+    this.tests = [];
+    this.outside = { name: OUTSIDE_TESTS, status: 'passed', lines: {} };
+    this.snapshot = {};
+  }
+
+  mergeOutside() {
+    for (const [file, lines] of Object.entries(executedLines(this.global.__coverage__, this.snapshot))) {
+      this.outside.lines[file] = [...new Set([...(this.outside.lines[file] || []), ...lines])].sort((a, b) => a - b);
+    }
+    this.snapshot = snapshotCounters(this.global.__coverage__);
+  }
+
+  async handleTestEvent(event) {
+    if (event.name === 'test_start') {
+      this.mergeOutside();
+    } else if (event.name === 'test_done') {
+      this.tests.push({
+        name: fullTestName(event.test),
+        status: event.test.errors.length ? 'failed' : 'passed',
+        lines: executedLines(this.global.__coverage__, this.snapshot),
+      });
+      this.snapshot = snapshotCounters(this.global.__coverage__);
+    } else if (event.name === 'hook_failure' && (event.hook.type === 'beforeAll' || event.hook.type === 'afterAll')) {
+      this.outside.status = 'failed';
+    }
+  }
+
+  async teardown() {
+    if (this.global.__coverage__) {
+      this.mergeOutside();
+      const rel = path.relative(this.rootDir, this.testPath).split(path.sep).join('/');
+      const outPath = path.join(this.outDir, `${rel.replace(/[^\w.-]+/g, '_')}.json`);
+      fs.mkdirSync(this.outDir, { recursive: true });
+      fs.writeFileSync(
+        outPath,
+        JSON.stringify({ version: 1, testFile: this.testPath, tests: [...this.tests, this.outside] }),
+        'utf8'
+      );
+    }
+    await super.teardown();
+  }
+}
+
+module.exports = PerTestCoverageEnvironment;
+module.exports.executedLines = executedLines;
+module.exports.fullTestName = fullTestName;
+module.exports.snapshotCounters = snapshotCounters;
@@ -0,0 +1,142 @@
+// Minimal source map (v3) reader used to paint coverage of transpiled code onto
+// its original sources. Only what the painting needs: decoding `mappings` and
+// looking up original positions. Index maps (`sections`) are not supported.
+const fs = require('fs');
+const path = require('path');
+const { fileURLToPath } = require('url');
+
+const BASE64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+function decodeVlq(text) {
+  const values = [];
+  let value = 0;
+  let shift = 0;
+  for (const ch of text) {
+    const digit = BASE64.indexOf(ch);
+    if (digit < 0) throw new Error(`Invalid base64 VLQ character "${ch}"`);
+    value += (digit & 31) << shift;
+    if (digit & 32) {
+      shift += 5;
+    } else {
+      values.push(value & 1 ? -(value >>> 1) : value >>> 1);
+      value = 0;
+      shift = 0;
+    }
+  }
+  return values;
+}
+
+function decodeMappings(mappings) {
+  // -> one array per generated line of [genColumn, sourceIndex, origLine, origColumn]
+  // segments (all 0-based); segments without a source keep only genColumn.
+  const lines = [];
+  let sourceIndex = 0;
+  let origLine = 0;
+  let origColumn = 0;
+  for (const lineText of mappings.split(';')) {
+    const segments = [];
+    let genColumn = 0;
+    for (const segText of lineText.split(',')) {
+      if (!segText) continue;
+      const v = decodeVlq(segText);
+      genColumn += v[0];
+      if (v.length >= 4) {
+        sourceIndex += v[1];
+        origLine += v[2];
+        origColumn += v[3];
+        segments.push([genColumn, sourceIndex, origLine, origColumn]);
+      } else {
+        segments.push([genColumn]);
+      }
+    }
+    segments.sort((a, b) => a[0] - b[0]);
+    lines.push(segments);
+  }
+  return lines;
+}
+
+function resolveSourcePath(mapDir, sourceRoot, source) {
+  // URLs other than file:// (webpack://, vite://, ...) are returned untouched for path rewrite rules
+  const joined = sourceRoot ? `${sourceRoot.replace(/\/+$/, '')}/${source}` : source;
+  if (/^file:\/\//i.test(joined)) return fileURLToPath(joined);
+  if (/^[a-z][\w+.-]+:\/\//i.test(joined)) return joined;
+  return path.resolve(mapDir, joined);
+}
+
+function createSourceMapConsumer(map, mapDir) {
+  const lines = decodeMappings(map.mappings || '');
+  const sources = (map.sources || []).map((src) => resolveSourcePath(mapDir, map.sourceRoot || '', src || ''));
+
+  // 1-based line / 0-based column in, same convention out (null when unmapped)
+  function originalPositionFor(line, column) {
+    const segments = (lines[line - 1] || []).filter((s) => s.length === 4);
+    if (segments.length === 0) return null;
+    let best = segments[0];
+    for (const s of segments) {
+      if (s[0] <= column) best = s;
+      else break;
+    }
+    return { sourceIndex: best[1], line: best[2] + 1, column: best[3] };
+  }
+
+  // Every distinct original line that a generated line maps to
+  function originalLinesFor(line) {
+    const seen = new Set();
+    const out = [];
+    for (const s of lines[line - 1] || []) {
+      if (s.length !== 4) continue;
+      const key = `${s[1]}:${s[2]}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      out.push({ sourceIndex: s[1], line: s[2] + 1 });
+    }
+    return out;
+  }
+
+  return { sources, originalPositionFor, originalLinesFor };
+}
+
+function decodeDataUrl(url) {
+  const comma = url.indexOf(',');
+  if (comma < 0) return null;
+  const meta = url.slice(5, comma);
+  const data = url.slice(comma + 1);
+  return /;base64$/i.test(meta) ? Buffer.from(data, 'base64').toString('utf8') : decodeURIComponent(data);
+}
+
+function readSourceMap(generatedPath) {
+  // Looks for a trailing sourceMappingURL comment (inline data: URL or a file),
+  // then for an adjacent "<file>.map". Returns a consumer or null.
+  let mapText = null;
+  let mapDir = path.dirname(generatedPath);
+
+  if (fs.existsSync(generatedPath)) {
+    const code = fs.readFileSync(generatedPath, 'utf8');
+    const refs = [...code.matchAll(/^\s*(?:\/\/|\/\*)[#@]\s*sourceMappingURL=([^\s*]+)/gm)];
+    const url = refs.length ? refs[refs.length - 1][1] : null;
+    if (url && url.startsWith('data:')) {
+      mapText = decodeDataUrl(url);
+    } else if (url) {
+      const mapPath = path.resolve(mapDir, decodeURIComponent(url));
+      if (fs.existsSync(mapPath)) {
+        mapText = fs.readFileSync(mapPath, 'utf8');
+        mapDir = path.dirname(mapPath);
+      }
+    }
+  }
+  if (mapText === null && fs.existsSync(`${generatedPath}.map`)) {
+    mapText = fs.readFileSync(`${generatedPath}.map`, 'utf8');
+  }
+  if (mapText === null) return null;
+
+  const map = JSON.parse(mapText.replace(/^\)\]\}'[^\n]*\n/, '')); // strip XSSI guard some tools prepend
+  if (Array.isArray(map.sections)) throw new Error(`Index source maps are not supported (${generatedPath})`);
+  return createSourceMapConsumer(map, mapDir);
+}
+
+module.exports = {
+  decodeVlq,
+  decodeMappings,
+  createSourceMapConsumer,
+  readSourceMap,
+};
@@ -0,0 +1,211 @@
+const http = require('http');
+const { createGitHubClient, nextPageUrl } = require('../.github/actions/code-painting/github');
+
+// Local mock of the GitHub API: each request is answered by the next queued handler
+function startMockServer() {
+  const queue = [];
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => (body += chunk));
+    req.on('end', () => {
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body: body ? JSON.parse(body) : null });
+      const reply = queue.shift() || { status: 500, body: { message: 'unexpected request' } };
+      res.writeHead(reply.status, { 'Content-Type': 'application/json', ...(reply.headers || {}) });
+      res.end(reply.body === undefined ? '' : JSON.stringify(reply.body));
+    });
+  });
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      const baseUrl = `http://127.0.0.1:${server.address().port}`;
+      resolve({ server, baseUrl, queue, requests });
+    });
+  });
+}
+
+describe('code-painting GitHub client', () => {
+  let mock;
+  let sleeps;
+  let logSpy;
+
+  const client = (options = {}) =>
+    createGitHubClient({ token: 't0ken', baseUrl: mock.baseUrl, sleep: async (ms) => sleeps.push(ms), ...options });
+
+  beforeEach(async () => {
+    mock = await startMockServer();
+    sleeps = [];
+    logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    logSpy.mockRestore();
+    await new Promise((resolve) => mock.server.close(resolve));
+  });
+
+  describe('nextPageUrl', () => {
+    test('returns the rel="next" link', () => {
+      const link =
+        '<https://api.github.com/repos/o/r/issues?page=2>; rel="next", <https://api.github.com/repos/o/r/issues?page=5>; rel="last"';
+      expect(nextPageUrl(link)).toBe('https://api.github.com/repos/o/r/issues?page=2');
+    });
+
+    test('returns null on the last page or without a header', () => {
+      expect(nextPageUrl('<https://api.github.com/x?page=1>; rel="prev", <https://api.github.com/x?page=1>; rel="first"')).toBeNull();
+      expect(nextPageUrl(null)).toBeNull();
+      expect(nextPageUrl('')).toBeNull();
+    });
+  });
+
+  describe('request', () => {
+    test('resolves paths against baseUrl and sends the token', async () => {
+      mock.queue.push({ status: 201, body: { id: 7 } });
+      const data = await client().request('POST', '/repos/o/r/issues/1/comments', { body: 'hi' });
+
+      expect(data).toEqual({ id: 7 });
+      expect(mock.requests).toHaveLength(1);
+      expect(mock.requests[0]).toMatchObject({
+        method: 'POST',
+        url: '/repos/o/r/issues/1/comments',
+        body: { body: 'hi' },
+      });
+      expect(mock.requests[0].headers.authorization).toBe('Bearer t0ken');
+    });
+
+    test('strips a trailing slash from baseUrl', async () => {
+      mock.queue.push({ status: 204 });
+      const c = createGitHubClient({ token: 't', baseUrl: `${mock.baseUrl}/`, sleep: async () => {} });
+
+      expect(c.baseUrl).toBe(mock.baseUrl);
+      expect(await c.request('DELETE', '/repos/o/r/issues/comments/1')).toBeNull();
+      expect(mock.requests[0].url).toBe('/repos/o/r/issues/comments/1');
+    });
+
+    test('retries 5xx responses with exponential backoff', async () => {
+      mock.queue.push({ status: 502, body: { message: 'Bad Gateway' } });
+      mock.queue.push({ status: 503, body: { message: 'Unavailable' } });
+      mock.queue.push({ status: 200, body: { ok: true } });
+
+      expect(await client({ baseDelayMs: 10 }).request('GET', '/rate_limit')).toEqual({ ok: true });
+      expect(mock.requests).toHaveLength(3);
+      expect(sleeps).toEqual([10, 20]);
+    });
+
+    test('gives up on 5xx after maxRetries', async () => {
+      for (let i = 0; i < 3; i++) mock.queue.push({ status: 500, body: { message: 'boom' } });
+
+      await expect(client({ maxRetries: 2, baseDelayMs: 1 }).request('GET', '/x')).rejects.toThrow(/GitHub API error 500/);
+      expect(mock.requests).toHaveLength(3);
+      expect(sleeps).toHaveLength(2);
+    });
+
+    test('does not retry a POST on 5xx, which may already have created the resource', async () => {
+      mock.queue.push({ status: 502, body: { message: 'Bad Gateway' } });
+
+      await expect(client().request('POST', '/repos/o/r/issues/1/comments', { body: 'hi' })).rejects.toThrow(/GitHub API error 502/);
+      expect(mock.requests).toHaveLength(1);
+      expect(sleeps).toEqual([]);
+    });
+
+    test('retries a 403 secondary rate limit after Retry-After seconds', async () => {
+      mock.queue.push({
+        status: 403,
+        headers: { 'Retry-After': '3' },
+        body: { message: 'You have exceeded a secondary rate limit' },
+      });
+      mock.queue.push({ status: 200, body: { id: 1 } });
+
+      expect(await client().request('POST', '/repos/o/r/check-runs', {})).toEqual({ id: 1 });
+      expect(sleeps).toEqual([3000]);
+    });
+
+    test('does not retry a plain 403', async () => {
+      mock.queue.push({ status: 403, body: { message: 'Resource not accessible by integration' } });
+
+      await expect(client().request('GET', '/x')).rejects.toThrow(/403.*Resource not accessible/);
+      expect(mock.requests).toHaveLength(1);
+      expect(sleeps).toEqual([]);
+    });
+
+    test('gives up when Retry-After exceeds maxDelayMs', async () => {
+      mock.queue.push({ status: 429, headers: { 'Retry-After': '120' }, body: { message: 'slow down' } });
+
+      await expect(client({ maxDelayMs: 60 * 1000 }).request('GET', '/x')).rejects.toThrow(/GitHub API error 429/);
+      expect(mock.requests).toHaveLength(1);
+      expect(sleeps).toEqual([]);
+    });
+
+    test('retries network errors through the injected fetch', async () => {
+      const calls = [];
+      const fetch = async (url, init) => {
+        calls.push({ url, method: init.method });
+        if (calls.length === 1) throw new Error('ECONNRESET');
+        return new Response(JSON.stringify({ done: true }), { status: 200 });
+      };
+
+      const c = createGitHubClient({ token: 't', baseUrl: 'https://ghe.example.com/api/v3', fetch, baseDelayMs: 5, sleep: async (ms) => sleeps.push(ms) });
+      expect(await c.request('GET', '/user')).toEqual({ done: true });
+      expect(calls).toEqual([
+        { url: 'https://ghe.example.com/api/v3/user', method: 'GET' },
+        { url: 'https://ghe.example.com/api/v3/user', method: 'GET' },
+      ]);
+      expect(sleeps).toEqual([5]);
+    });
+
+    test('does not retry a POST after a network error', async () => {
+      let calls = 0;
+      const fetch = async () => {
+        calls++;
+        throw new Error('ECONNRESET');
+      };
+
+      const c = createGitHubClient({ token: 't', baseUrl: 'https://ghe.example.com/api/v3', fetch, sleep: async (ms) => sleeps.push(ms) });
+      await expect(c.request('POST', '/repos/o/r/check-runs', {})).rejects.toThrow('GitHub API POST https://ghe.example.com/api/v3/repos/o/r/check-runs failed: ECONNRESET');
+      expect(calls).toBe(1);
+      expect(sleeps).toEqual([]);
+    });
+  });
+
+  describe('paginate', () => {
+    test('follows rel="next" links across pages', async () => {
+      mock.queue.push({
+        status: 200,
+        headers: { Link: `<${mock.baseUrl}/repos/o/r/pulls/1/comments?page=2>; rel="next"` },
+        body: [{ id: 1 }, { id: 2 }],
+      });
+      mock.queue.push({ status: 200, body: [{ id: 3 }] });
+
+      const items = await client().paginate('/repos/o/r/pulls/1/comments?per_page=2');
+
+      expect(items.map((i) => i.id)).toEqual([1, 2, 3]);
+      expect(mock.requests.map((r) => r.url)).toEqual(['/repos/o/r/pulls/1/comments?per_page=2', '/repos/o/r/pulls/1/comments?page=2']);
+    });
+  });
+
+  describe('graphql', () => {
+    test('posts to /graphql and returns data', async () => {
+      mock.queue.push({ status: 200, body: { data: { viewer: { login: 'bot' } } } });
+
+      const data = await client().graphql('query { viewer { login } }', { a: 1 });
+
+      expect(data).toEqual({ viewer: { login: 'bot' } });
+      expect(mock.requests[0]).toMatchObject({ method: 'POST', url: '/graphql', body: { query: 'query { viewer { login } }', variables: { a: 1 } } });
+    });
+
+    test('throws on an errors array in a 200 response', async () => {
+      mock.queue.push({ status: 200, body: { data: null, errors: [{ message: 'Field missing' }, { message: 'Bad id' }] } });
+
+      await expect(client().graphql('query { x }')).rejects.toThrow('GitHub GraphQL error: Field missing; Bad id');
+    });
+
+    test('uses /api/graphql on GitHub Enterprise Server', async () => {
+      const urls = [];
+      const fetch = async (url) => {
+        urls.push(url);
+        return new Response(JSON.stringify({ data: {} }), { status: 200 });
+      };
+
+      await createGitHubClient({ token: 't', baseUrl: 'https://ghe.example.com/api/v3', fetch }).graphql('query { x }');
+      expect(urls).toEqual(['https://ghe.example.com/api/graphql']);
+    });
+  });
+});
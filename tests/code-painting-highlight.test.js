@@ -0,0 +1,71 @@
+const { languageFor, tokenize, tokenizeLines } = require('../.github/actions/code-painting/highlight');
+
+// Only the coloured tokens; punctuation and plain identifiers have type null
+const typed = (source, language = 'js') =>
+  tokenize(source, language)
+    .filter((t) => t.type)
+    .map((t) => [t.type, t.text]);
+
+describe('code-painting highlighter', () => {
+  test('maps file extensions to languages', () => {
+    expect(languageFor('src/App.TSX')).toBe('js');
+    expect(languageFor('package.json')).toBe('json');
+    expect(languageFor('main.py')).toBeNull();
+  });
+
+  test('keeps the source text intact', () => {
+    const source = 'const a = `x${y}`; // c\n/* d */ f(1, "s", /r/g);\n';
+    expect(tokenize(source, 'js').map((t) => t.text).join('')).toBe(source);
+  });
+
+  test('tells regular expressions from division', () => {
+    expect(typed('const re = /a+/g; const x = a / b / c;')).toEqual([
+      ['keyword', 'const'],
+      ['regex', '/a+/g'],
+      ['keyword', 'const'],
+    ]);
+    expect(typed('return /x/')).toEqual([
+      ['keyword', 'return'],
+      ['regex', '/x/'],
+    ]);
+  });
+
+  test('tokenizes template literals with nested interpolations', () => {
+    expect(typed('const s = `a${b + "}"}c`; // done')).toEqual([
+      ['keyword', 'const'],
+      ['string', '`a${'],
+      ['string', '"}"'],
+      ['string', '}c`'],
+      ['comment', '// done'],
+    ]);
+  });
+
+  test('colours numbers and calls, not keywords used as properties', () => {
+    expect(typed('obj.delete(1.5e3, 0xff, 10n)')).toEqual([
+      ['function', 'delete'],
+      ['number', '1.5e3'],
+      ['number', '0xff'],
+      ['number', '10n'],
+    ]);
+  });
+
+  test('marks JSON object keys as properties', () => {
+    expect(typed('{"key": "value", "n": 1}', 'json')).toEqual([
+      ['property', '"key"'],
+      ['string', '"value"'],
+      ['property', '"n"'],
+      ['number', '1'],
+    ]);
+  });
+
+  test('splits multi-line tokens per source line', () => {
+    expect(tokenizeLines('/* a\nb */ x', 'js')).toEqual([
+      [{ type: 'comment', text: '/* a' }],
+      [
+        { type: 'comment', text: 'b */' },
+        { type: null, text: ' x' },
+      ],
+    ]);
+    expect(tokenizeLines('x', null)).toBeNull();
+  });
+});
@@ -0,0 +1,165 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { parseUnifiedDiffOldSide } = require('../.github/actions/code-painting');
+const { parseArgs, selectTests } = require('../.github/actions/code-painting/impact');
+
+const impactScript = path.resolve(__dirname, '../.github/actions/code-painting/impact.js');
+
+// test-map.json as the action writes it: tests, and per file the tests that executed each line
+const testMap = {
+  version: 1,
+  tests: [
+    { testFile: 'tests/a.test.js', name: 'a › top', status: 'passed' },
+    { testFile: 'tests/a.test.js', name: 'a › bottom', status: 'passed' },
+    { testFile: 'tests/gone.test.js', name: 'gone', status: 'passed' },
+    { testFile: 'tests/b.test.js', name: 'b', status: 'passed' },
+  ],
+  files: {
+    'src/a.js': { 1: [0, 1], 5: [0], 50: [1] },
+    'src/gone.js': { 2: [2] },
+    'src/b.js': { 3: [3] },
+  },
+};
+
+describe('code-painting test impact analysis', () => {
+  describe('parseUnifiedDiffOldSide', () => {
+    test('uses old-side line numbers for modified and removed lines', () => {
+      const diff = ['diff --git a/src/a.js b/src/a.js', '--- a/src/a.js', '+++ b/src/a.js', '@@ -1,0 +2,10 @@', '@@ -50 +60 @@', '@@ -70,2 +79,0 @@'].join('\n');
+      expect([...parseUnifiedDiffOldSide(diff)]).toEqual([['src/a.js', new Set([1, 2, 50, 70, 71])]]);
+    });
+
+    test('marks the old lines on both sides of a pure insertion', () => {
+      const diff = ['diff --git a/src/a.js b/src/a.js', '--- a/src/a.js', '+++ b/src/a.js', '@@ -0,0 +1 @@', '@@ -8,0 +10,2 @@'].join('\n');
+      expect([...parseUnifiedDiffOldSide(diff).get('src/a.js')]).toEqual([1, 8, 9]);
+    });
+
+    test('treats deleted, renamed and added files as whole-file changes', () => {
+      const diff = [
+        'diff --git a/src/gone.js b/src/gone.js',
+        'deleted file mode 100644',
+        '--- a/src/gone.js',
+        '+++ /dev/null',
+        '@@ -1,3 +0,0 @@',
+        'diff --git a/src/old.js b/src/moved.js',
+        'similarity index 100%',
+        'rename from src/old.js',
+        'rename to src/moved.js',
+        'diff --git a/src/x.js b/src/y.js',
+        'similarity index 80%',
+        'rename from src/x.js',
+        'rename to src/y.js',
+        '--- a/src/x.js',
+        '+++ b/src/y.js',
+        '@@ -4 +4 @@',
+        'diff --git a/src/new.js b/src/new.js',
+        'new file mode 100644',
+        '--- /dev/null',
+        '+++ b/src/new.js',
+        '@@ -0,0 +1,2 @@',
+      ].join('\n');
+      expect([...parseUnifiedDiffOldSide(diff)]).toEqual([
+        ['src/gone.js', null],
+        ['src/old.js', null],
+        ['src/moved.js', null],
+        ['src/x.js', null],
+        ['src/y.js', null],
+        ['src/new.js', null],
+      ]);
+    });
+
+    test('does not read removed lines starting with "--" as file headers', () => {
+      const diff = ['diff --git a/src/a.js b/src/a.js', '--- a/src/a.js', '+++ b/src/a.js', '@@ -3 +3 @@', '--- a/other.js', '+++ b/other.js'].join('\n');
+      expect([...parseUnifiedDiffOldSide(diff)]).toEqual([['src/a.js', new Set([3])]]);
+    });
+  });
+
+  describe('selectTests', () => {
+    test('selects the tests that executed the changed lines', () => {
+      expect(selectTests(testMap, new Map([['src/a.js', new Set([50, 51])]]))).toEqual({ testFiles: ['tests/a.test.js'], unmappedFiles: [] });
+      expect(selectTests(testMap, new Map([['src/a.js', new Set([2])]]))).toEqual({ testFiles: [], unmappedFiles: [] });
+    });
+
+    test('selects every test of a whole-file change and changed test files themselves', () => {
+      const changes = new Map([
+        ['src/gone.js', null],
+        ['tests/b.test.js', new Set([1])],
+        ['src/new.js', null],
+      ]);
+      expect(selectTests(testMap, changes)).toEqual({ testFiles: ['tests/b.test.js', 'tests/gone.test.js'], unmappedFiles: ['src/new.js'] });
+    });
+  });
+
+  describe('parseArgs', () => {
+    test('reads the map, base and file list', () => {
+      expect(parseArgs(['--map', 'm.json', '--base', 'origin/main', '--files', 'a.js,b.js', '--repo', '/r'])).toEqual({
+        map: 'm.json',
+        base: 'origin/main',
+        files: ['a.js', 'b.js'],
+        repo: '/r',
+        output: null,
+      });
+    });
+
+    test('requires a map and something to compare', () => {
+      expect(() => parseArgs(['--base', 'main'])).toThrow('--map <test-map.json> is required');
+      expect(() => parseArgs(['--map', 'm.json'])).toThrow('Give --base <ref> and/or --files <list>');
+      expect(() => parseArgs(['--map'])).toThrow('Missing value for --map');
+    });
+  });
+
+  describe('impact.js --base', () => {
+    let repo;
+    const git = (...args) => execFileSync('git', ['-c', 'user.name=t', '-c', 'user.email=t@example.com', ...args], { cwd: repo, stdio: 'pipe' });
+    const write = (rel, text) => {
+      fs.mkdirSync(path.dirname(path.join(repo, rel)), { recursive: true });
+      fs.writeFileSync(path.join(repo, rel), text);
+    };
+    const numbered = (from, to) => Array.from({ length: to - from + 1 }, (_, i) => `line${from + i}`).join('\n') + '\n';
+
+    beforeEach(() => {
+      repo = fs.mkdtempSync(path.join(os.tmpdir(), 'code-painting-impact-'));
+      git('init', '-q', '-b', 'main');
+      write('src/a.js', numbered(1, 60));
+      write('src/gone.js', numbered(1, 3));
+      for (const t of ['tests/a.test.js', 'tests/gone.test.js', 'tests/b.test.js']) write(t, '');
+      write('test-map.json', JSON.stringify(testMap));
+      git('add', '-A');
+      git('commit', '-q', '-m', 'base');
+      git('checkout', '-q', '-b', 'feature');
+    });
+
+    afterEach(() => {
+      fs.rmSync(repo, { recursive: true, force: true });
+    });
+
+    const run = () => JSON.parse(execFileSync('node', [impactScript, '--map', 'test-map.json', '--base', 'main', '--repo', repo], { encoding: 'utf8' }));
+
+    test('looks up an edit below inserted lines by its old line number', () => {
+      // Ten lines inserted after line 10 move old line 50 to line 60
+      const lines = numbered(1, 60).split('\n');
+      lines.splice(10, 0, ...Array.from({ length: 10 }, (_, i) => `inserted${i}`));
+      lines[59] = 'edited';
+      write('src/a.js', lines.join('\n'));
+      git('commit', '-q', '-am', 'edit');
+
+      // Old lines 10/11 around the insertion have no tests; old line 50 ran "a › bottom"
+      expect(run()).toMatchObject({ changedFiles: ['src/a.js'], testFiles: ['tests/a.test.js'], unmappedFiles: [] });
+    });
+
+    test('selects the tests of a deleted module', () => {
+      git('rm', '-q', 'src/gone.js');
+      git('commit', '-q', '-m', 'delete');
+
+      expect(run()).toMatchObject({ changedFiles: ['src/gone.js'], testFiles: ['tests/gone.test.js'] });
+    });
+
+    test('does not select deleted test files', () => {
+      git('rm', '-q', 'src/gone.js', 'tests/gone.test.js');
+      git('commit', '-q', '-m', 'delete');
+
+      expect(run()).toMatchObject({ testFiles: [], runTestsByPath: '' });
+    });
+  });
+});
@@ -0,0 +1,60 @@
+const PerTestCoverageEnvironment = require('../.github/actions/code-painting/jest-per-test-environment');
+
+const { executedLines, fullTestName, snapshotCounters } = PerTestCoverageEnvironment;
+
+// Istanbul's live counters for one file: statement 0 on line 1, 1 on line 2, 2 on line 2, 3 on line 7
+const coverage = (s) => ({
+  '/repo/src/a.js': {
+    statementMap: {
+      0: { start: { line: 1 } },
+      1: { start: { line: 2 } },
+      2: { start: { line: 2 } },
+      3: { start: { line: 7 } },
+    },
+    s,
+  },
+});
+
+describe('code-painting per-test environment', () => {
+  test('reports the lines whose statement counters moved', () => {
+    const before = snapshotCounters(coverage({ 0: 1, 1: 0, 2: 0, 3: 0 }));
+
+    expect(before).toEqual({ '/repo/src/a.js': { 0: 1, 1: 0, 2: 0, 3: 0 } });
+    expect(executedLines(coverage({ 0: 1, 1: 2, 2: 1, 3: 0 }), before)).toEqual({ '/repo/src/a.js': [2] });
+    expect(executedLines(coverage({ 0: 1, 1: 0, 2: 0, 3: 0 }), before)).toEqual({});
+    expect(executedLines(undefined, before)).toEqual({});
+  });
+
+  test('names tests by their describe blocks', () => {
+    const test = { name: 'divides', parent: { name: 'calc', parent: { name: 'ROOT_DESCRIBE_BLOCK', parent: null } } };
+    expect(fullTestName(test)).toBe('calc › divides');
+  });
+
+  test('attributes lines to the test that ran them and the rest to "outside tests"', async () => {
+    // The environment's event handling without booting a real Jest environment
+    const env = Object.create(PerTestCoverageEnvironment.prototype);
+    Object.assign(env, {
+      global: { __coverage__: coverage({ 0: 1, 1: 0, 2: 0, 3: 0 }) },
+      tests: [],
+      outside: { name: '(outside tests)', status: 'passed', lines: {} },
+      snapshot: {},
+    });
+    const counters = env.global.__coverage__['/repo/src/a.js'].s;
+    const test = (name, errors) => ({ name, errors, parent: { name: 'calc', parent: null } });
+
+    await env.handleTestEvent({ name: 'test_start' });
+    counters[1] = 1;
+    await env.handleTestEvent({ name: 'test_done', test: test('adds', []) });
+    await env.handleTestEvent({ name: 'test_start' });
+    counters[3] = 1;
+    counters[1] = 2;
+    await env.handleTestEvent({ name: 'test_done', test: test('divides', [new Error('boom')]) });
+    await env.handleTestEvent({ name: 'hook_failure', hook: { type: 'afterAll' } });
+
+    expect(env.tests).toEqual([
+      { name: 'calc › adds', status: 'passed', lines: { '/repo/src/a.js': [2] } },
+      { name: 'calc › divides', status: 'failed', lines: { '/repo/src/a.js': [2, 7] } },
+    ]);
+    expect(env.outside).toEqual({ name: '(outside tests)', status: 'failed', lines: { '/repo/src/a.js': [1] } });
+  });
+});
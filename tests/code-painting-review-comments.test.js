@@ -0,0 +1,149 @@
+const http = require('http');
+const { createGitHubClient } = require('../.github/actions/code-painting/github');
+const { uncoveredChangedBlocks, syncReviewComments } = require('../.github/actions/code-painting');
+
+// Local mock of the pull request endpoints the review comment sync uses
+function startMockServer({ comments = [], threads = [] }) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => (body += chunk));
+    req.on('end', () => {
+      const json = body ? JSON.parse(body) : null;
+      requests.push({ method: req.method, url: req.url, body: json });
+      let reply = { status: 404, body: { message: 'Not Found' } };
+      if (req.method === 'GET' && req.url === '/repos/o/r/pulls/1') reply = { status: 200, body: { head: { sha: 'abcdef1234567890' } } };
+      else if (req.method === 'GET' && req.url === '/repos/o/r/pulls/1/comments?per_page=100') reply = { status: 200, body: comments };
+      else if (req.method === 'PATCH' && req.url.startsWith('/repos/o/r/pulls/comments/')) reply = { status: 200, body: {} };
+      else if (req.method === 'POST' && req.url === '/repos/o/r/pulls/1/reviews') reply = { status: 200, body: { id: 1 } };
+      else if (req.method === 'POST' && req.url === '/graphql' && json.query.startsWith('mutation')) reply = { status: 200, body: { data: {} } };
+      else if (req.method === 'POST' && req.url === '/graphql') {
+        const nodes = threads.map(([id, commentId]) => ({ id, isResolved: false, comments: { nodes: [{ databaseId: commentId }] } }));
+        reply = { status: 200, body: { data: { repository: { pullRequest: { reviewThreads: { nodes, pageInfo: { hasNextPage: false } } } } } } };
+      }
+      res.writeHead(reply.status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(reply.body));
+    });
+  });
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => resolve({ server, baseUrl: `http://127.0.0.1:${server.address().port}`, requests }));
+  });
+}
+
+describe('code-painting review comments', () => {
+  const file = (sourceLines, uncovered) => ({
+    relPath: 'src/a.js',
+    sourceLines,
+    lineHits: new Map(sourceLines.map((_, i) => [i + 1, uncovered.includes(i + 1) ? 0 : 1])),
+  });
+  const source = ['a();', 'if (x) {', '  b();', '  c();', '}', 'd();'];
+  const [block] = uncoveredChangedBlocks([file(source, [3, 4])], new Map([['src/a.js', new Set([3, 4])]]));
+
+  describe('uncoveredChangedBlocks', () => {
+    test('keys blocks on their path and code, not their position', () => {
+      const moved = ['// header', '', ...source];
+      const [shifted] = uncoveredChangedBlocks([file(moved, [5, 6])], new Map([['src/a.js', new Set([5, 6])]]));
+      const [edited] = uncoveredChangedBlocks([file(['a();', 'if (x) {', '  b(1);', '  c();'], [3, 4])], new Map([['src/a.js', new Set([3, 4])]]));
+
+      expect(block).toEqual({ path: 'src/a.js', start: 3, end: 4, key: expect.stringMatching(/^src%2Fa\.js#[0-9a-f]{16}$/) });
+      expect(shifted).toEqual({ ...block, start: 5, end: 6 });
+      expect(edited.key).not.toBe(block.key);
+    });
+  });
+
+  describe('syncReviewComments', () => {
+    let mock;
+    let logSpy;
+
+    const marker = (key, lines, resolved = false) => `<!-- code-painting-action:review${key ? ` key=${key}` : ''} lines=${lines}${resolved ? ' resolved' : ''} -->`;
+    const sync = async (setup, blocks, maxComments = 10) => {
+      mock = await startMockServer(setup);
+      const client = createGitHubClient({ token: 't', baseUrl: mock.baseUrl, sleep: async () => {} });
+      return syncReviewComments({ client, owner: 'o', repo: 'r', prNumber: 1, blocks, maxComments });
+    };
+    const writes = () => mock.requests.filter((r) => r.method !== 'GET' && !(r.url === '/graphql' && r.body.query.startsWith('query')));
+
+    beforeEach(() => {
+      logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(async () => {
+      logSpy.mockRestore();
+      await new Promise((resolve) => mock.server.close(resolve));
+    });
+
+    test('creates one review with a keyed comment per new block, up to maxComments', async () => {
+      const other = { path: 'src/b.js', start: 7, end: 7, key: 'src%2Fb.js#0123456789abcdef' };
+      const counts = await sync({}, [block, other], 1);
+
+      expect(counts).toEqual({ created: 1, updated: 0, resolved: 0, dropped: 1 });
+      expect(writes()).toHaveLength(1);
+      const review = writes()[0];
+      expect(review).toMatchObject({ method: 'POST', url: '/repos/o/r/pulls/1/reviews', body: { commit_id: 'abcdef1234567890', event: 'COMMENT' } });
+      expect(review.body.body).toContain('1 more not commented, max-review-comments=1');
+      expect(review.body.comments).toEqual([
+        {
+          path: 'src/a.js',
+          line: 4,
+          side: 'RIGHT',
+          start_line: 3,
+          start_side: 'RIGHT',
+          body: expect.stringMatching(new RegExp(`^${marker(block.key, '3-4')}\\n\\*\\*Not covered by tests:\\*\\* Lines 3-4 were`)),
+        },
+      ]);
+    });
+
+    test('keeps a comment GitHub moved along with the unchanged block and updates its range', async () => {
+      const moved = { ...block, start: 5, end: 6 };
+      const comments = [
+        { id: 11, path: 'src/a.js', line: 6, body: `${marker(block.key, '3-4')}\nold text` },
+        { id: 12, path: 'src/a.js', line: 9, body: `${marker('src%2Fa.js#ffffffffffffffff', '9', true)}\n~~done~~` },
+      ];
+      const counts = await sync({ comments }, [moved]);
+
+      expect(counts).toEqual({ created: 0, updated: 1, resolved: 0, dropped: 0 });
+      expect(writes()).toEqual([
+        { method: 'PATCH', url: '/repos/o/r/pulls/comments/11', body: { body: expect.stringContaining(`${marker(block.key, '5-6')}\n**Not covered by tests:** Lines 5-6`) } },
+      ]);
+    });
+
+    test('leaves an up-to-date comment alone', async () => {
+      const body = `${marker(block.key, '3-4')}\n**Not covered by tests:** Lines 3-4 were added or changed in this pull request, but no test executes them.`;
+      const counts = await sync({ comments: [{ id: 11, path: 'src/a.js', line: 4, body }] }, [block]);
+      expect(counts).toEqual({ created: 0, updated: 0, resolved: 0, dropped: 0 });
+      expect(writes()).toEqual([]);
+    });
+
+    test('resolves covered, moved, outdated and unkeyed comments and re-posts blocks still uncovered', async () => {
+      const comments = [
+        { id: 21, path: 'src/a.js', line: 4, body: `${marker('src%2Fa.js#ffffffffffffffff', '3-4')}\ncovered now` },
+        { id: 22, path: 'src/a.js', line: 12, body: `${marker(block.key, '11-12')}\nblock moved away` },
+        { id: 23, path: 'src/a.js', line: null, body: `${marker(block.key, '3-4')}\noutdated` },
+        { id: 24, path: 'src/a.js', line: 4, body: `${marker(null, '3-4')}\nposted before blocks had keys` },
+      ];
+      const threads = [
+        ['T21', 21],
+        ['T22', 22],
+        ['T23', 23],
+        ['T24', 24],
+        ['T99', 99],
+      ];
+      const counts = await sync({ comments, threads }, [block]);
+
+      expect(counts).toEqual({ created: 1, updated: 0, resolved: 4, dropped: 0 });
+      const [patch21, patch22, patch23, patch24, ...rest] = writes();
+      expect([patch21, patch22, patch23, patch24].map((r) => [r.method, r.url])).toEqual([
+        ['PATCH', '/repos/o/r/pulls/comments/21'],
+        ['PATCH', '/repos/o/r/pulls/comments/22'],
+        ['PATCH', '/repos/o/r/pulls/comments/23'],
+        ['PATCH', '/repos/o/r/pulls/comments/24'],
+      ]);
+      expect(patch21.body.body).toBe(
+        `${marker('src%2Fa.js#ffffffffffffffff', '3-4', true)}\n~~Lines 3-4 were added without test coverage.~~ No longer uncovered as of abcdef1.`
+      );
+      expect(patch24.body.body).toMatch(/^<!-- code-painting-action:review lines=3-4 resolved -->/);
+      expect(rest.filter((r) => r.url === '/graphql').map((r) => r.body.variables.id)).toEqual(['T21', 'T22', 'T23', 'T24']);
+      expect(rest[rest.length - 1]).toMatchObject({ method: 'POST', url: '/repos/o/r/pulls/1/reviews', body: { comments: [{ path: 'src/a.js', line: 4, start_line: 3 }] } });
+    });
+  });
+});
@@ -0,0 +1,48 @@
+const { decodeVlq, decodeMappings, createSourceMapConsumer } = require('../.github/actions/code-painting/sourcemap');
+
+describe('code-painting source maps', () => {
+  describe('decodeVlq', () => {
+    test.each([
+      ['A', [0]],
+      ['C', [1]],
+      ['D', [-1]],
+      ['gB', [16]],
+      ['2H', [123]],
+      ['3H', [-123]],
+      ['AAgBC', [0, 0, 16, 1]],
+    ])('decodes %s', (text, values) => {
+      expect(decodeVlq(text)).toEqual(values);
+    });
+
+    test('rejects characters outside the base64 alphabet', () => {
+      expect(() => decodeVlq('A!')).toThrow('Invalid base64 VLQ character "!"');
+    });
+  });
+
+  describe('decodeMappings', () => {
+    test('accumulates relative fields across segments and lines', () => {
+      expect(decodeMappings('AAAA,EAAE;;AACA,G')).toEqual([
+        [
+          [0, 0, 0, 0],
+          [2, 0, 0, 2],
+        ],
+        [],
+        [[0, 0, 1, 2], [3]],
+      ]);
+    });
+  });
+
+  describe('createSourceMapConsumer', () => {
+    const consumer = createSourceMapConsumer({ sources: ['a.ts'], mappings: 'AAAA,EAAE;;AACA,G' }, '/repo/dist');
+
+    test('resolves sources against the map directory', () => {
+      expect(consumer.sources).toEqual(['/repo/dist/a.ts']);
+    });
+
+    test('looks up the closest segment at or before a column', () => {
+      expect(consumer.originalPositionFor(1, 3)).toEqual({ sourceIndex: 0, line: 1, column: 2 });
+      expect(consumer.originalPositionFor(2, 0)).toBeNull();
+      expect(consumer.originalLinesFor(3)).toEqual([{ sourceIndex: 0, line: 2 }]);
+    });
+  });
+});
@@ -0,0 +1,1012 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  createPathMapper,
+  parseLcov,
+  paintLine,
+  uncoveredFunctions,
+  buildUncoveredFunctionsMarkdown,
+  parseUnifiedDiff,
+  computePatchCoverage,
+  computeCoverageDelta,
+  formatDelta,
+  readCoverageDelta,
+  globToRegExp,
+  buildGateRules,
+  evaluateQualityGate,
+  loadConfig,
+  resolveSettings,
+  validateSettings,
+  parsePathRewrites,
+  mergeCoverageMaps,
+  totalsFromRecords,
+  totalsFromSummaryFiles,
+  isIncluded,
+  parseCobertura,
+  parseIstanbulJson,
+  parsePerTestCoverage,
+  failingLinesFromPerTest,
+  buildTestMap,
+  isCoveredOnlyByFailingTests,
+  buildWorkflowAnnotations,
+  workflowCommand,
+  parseJestFailureFrames,
+  buildSarifReport,
+  buildJUnitReport,
+  writeHtmlReport,
+  fileMetrics,
+  paintingHunks,
+  selectPaintedFiles,
+  GITHUB_TEXT_LIMIT,
+  fitToLimit,
+  checkRunHeadSha,
+  checkRunConclusion,
+  createCheckRun,
+} = require('../.github/actions/code-painting');
+
+const repoRoot = path.resolve(__dirname, '..');
+
+describe('code-painting action', () => {
+  describe('parseLcov', () => {
+    const lcov = [
+      'TN:',
+      `SF:${repoRoot}/src/calculator.js`,
+      'FN:1,add',
+      'FN:5,divide',
+      'FNDA:3,add',
+      'FNDA:0,divide',
+      'DA:1,3',
+      'DA:2,3',
+      'DA:5,0',
+      'DA:6,0',
+      'BRDA:2,0,0,3',
+      'BRDA:2,0,1,0',
+      'BRDA:6,1,0,-',
+      'BRDA:6,1,1,-',
+      'end_of_record',
+      'SF:src/stringUtils.js',
+      'DA:1,1',
+      'end_of_record',
+      'SF:/somewhere/else/lib.js',
+      'DA:1,1',
+      'end_of_record',
+    ].join('\n');
+
+    test('reads line hits and branches per repo-relative file', () => {
+      const records = parseLcov(lcov, createPathMapper(repoRoot));
+      const calc = records.get('src/calculator.js');
+
+      expect([...records.keys()]).toEqual(['src/calculator.js', 'src/stringUtils.js']);
+      expect([...calc.lineHits]).toEqual([[1, 3], [2, 3], [5, 0], [6, 0]]);
+      expect(calc.branches.get(6)).toEqual([
+        { block: '1', branch: '0', taken: 0 },
+        { block: '1', branch: '1', taken: 0 },
+      ]);
+      expect(calc.branchesFound).toBe(4);
+      expect(calc.branchesHit).toBe(1);
+    });
+
+    test('paints covered lines with untaken branches as partial', () => {
+      const calc = parseLcov(lcov, createPathMapper(repoRoot)).get('src/calculator.js');
+
+      expect(paintLine(calc, 1)).toMatchObject({ state: 'covered-pass', indicator: '✅' });
+      expect(paintLine(calc, 2)).toMatchObject({ state: 'covered-partial', indicator: '🟡', tooltip: '1 of 2 branches taken' });
+      expect(paintLine(calc, 6)).toMatchObject({ state: 'uncovered', indicator: '❌' });
+      expect(paintLine(calc, 2, 'ascii').indicator).toBe('~');
+    });
+  });
+
+  describe('uncovered functions', () => {
+    const lcov = [
+      'SF:src/calculator.js',
+      'FN:12,divide',
+      'FN:1,add',
+      'FN:20,compose, with comma',
+      'FNDA:3,add',
+      'FNDA:0,divide',
+      'FNDA:0,compose, with comma',
+      'end_of_record',
+    ].join('\n');
+
+    test('reads FN/FNDA records, including names with commas', () => {
+      const calc = parseLcov(lcov, createPathMapper(repoRoot)).get('src/calculator.js');
+
+      expect(calc.functions.get('compose, with comma')).toEqual({ name: 'compose, with comma', line: 20, hits: 0 });
+      expect(calc.functionsFound).toBe(3);
+      expect(calc.functionsHit).toBe(1);
+    });
+
+    test('lists functions that never ran in line order', () => {
+      const calc = parseLcov(lcov, createPathMapper(repoRoot)).get('src/calculator.js');
+
+      expect(uncoveredFunctions(calc).map((fn) => fn.name)).toEqual(['divide', 'compose, with comma']);
+      expect(buildUncoveredFunctionsMarkdown([{ relPath: 'src/calculator.js', ...calc }])).toContain('| src/calculator.js | `divide` | 12 |');
+      expect(buildUncoveredFunctionsMarkdown([{ relPath: 'src/calculator.js', ...calc }], 1)).toMatch(/1 more function\(s\) truncated/);
+    });
+  });
+
+  describe('patch coverage', () => {
+    const diff = [
+      'diff --git a/src/a.js b/src/a.js',
+      '--- a/src/a.js',
+      '+++ b/src/a.js',
+      '@@ -3 +3,2 @@ function a() {',
+      '@@ -10,2 +11 @@',
+      '@@ -20,3 +20,0 @@',
+      'diff --git a/src/gone.js b/src/gone.js',
+      '--- a/src/gone.js',
+      '+++ /dev/null',
+      '@@ -1,3 +0,0 @@',
+      'diff --git a/src/new.js b/src/new.js',
+      '--- /dev/null',
+      '+++ b/src/new.js',
+      '@@ -0,0 +1,3 @@',
+    ].join('\n');
+
+    test('collects added and modified lines on the new side', () => {
+      const changed = parseUnifiedDiff(diff);
+      expect([...changed.keys()]).toEqual(['src/a.js', 'src/new.js']);
+      expect([...changed.get('src/a.js')]).toEqual([3, 4, 11]);
+      expect([...changed.get('src/new.js')]).toEqual([1, 2, 3]);
+    });
+
+    test('marks the lines around pure deletions with includeDeletions', () => {
+      const changed = parseUnifiedDiff(diff, { includeDeletions: true });
+      expect([...changed.get('src/a.js')]).toEqual([3, 4, 11, 20, 21]);
+    });
+
+    test('counts only changed lines that are instrumented', () => {
+      const records = parseLcov('SF:src/a.js\nDA:3,1\nDA:4,0\nDA:12,0\nend_of_record\n', createPathMapper(repoRoot));
+      const patch = computePatchCoverage(parseUnifiedDiff(diff), records, 80);
+
+      expect(patch).toMatchObject({ covered: 1, total: 2, pct: 50, status: 'FAIL' });
+      expect(patch.files).toEqual([{ path: 'src/a.js', covered: 1, total: 2, uncoveredLines: [4] }]);
+    });
+
+    test('passes a change without coverable lines', () => {
+      const patch = computePatchCoverage(new Map([['README.md', new Set([1, 2])]]), new Map(), 80);
+      expect(patch).toMatchObject({ covered: 0, total: 0, pct: null, status: 'PASS', files: [] });
+    });
+  });
+
+  describe('coverage delta', () => {
+    const report = (linesPct, files) => ({ totals: { lines: { pct: linesPct }, branches: { pct: 50 } }, files });
+    const current = report(82.5, [
+      { path: 'src/a.js', lineCoveragePct: 90 },
+      { path: 'src/b.js', coveredLineCount: 3, instrumentedLineCount: 4 },
+      { path: 'src/new.js', lineCoveragePct: 40 },
+    ]);
+    const baseline = report(80, [
+      { path: 'src/a.js', lineCoveragePct: 80 },
+      { path: 'src/b.js', lineCoveragePct: 100 },
+      { path: 'src/old.js', lineCoveragePct: 10 },
+    ]);
+
+    test('compares totals and files against the baseline', () => {
+      const delta = computeCoverageDelta(current, baseline);
+
+      expect(delta.totals.lines).toEqual({ current: 82.5, baseline: 80, delta: 2.5 });
+      expect(delta.totals.branches.delta).toBe(0);
+      expect(delta.totals.statements).toEqual({ current: null, baseline: null, delta: null });
+      expect(delta.files).toEqual([
+        { path: 'src/a.js', status: 'changed', current: 90, baseline: 80, delta: 10 },
+        { path: 'src/b.js', status: 'changed', current: 75, baseline: 100, delta: -25 },
+        { path: 'src/new.js', status: 'added', current: 40, baseline: null, delta: null },
+        { path: 'src/old.js', status: 'removed', current: null, baseline: 10, delta: null },
+      ]);
+    });
+
+    test('formats rises and drops with arrows', () => {
+      expect(formatDelta(2.5)).toBe('▲ +2.50');
+      expect(formatDelta(-25)).toBe('▼ -25.00');
+      expect(formatDelta(0.001)).toBe('±0.00');
+      expect(formatDelta(null)).toBe('—');
+    });
+
+    describe('readCoverageDelta', () => {
+      let dir;
+      let logSpy;
+      beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'code-painting-'));
+        logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+      });
+      afterEach(() => {
+        logSpy.mockRestore();
+        fs.rmSync(dir, { recursive: true, force: true });
+      });
+
+      test('reads the baseline report', () => {
+        fs.writeFileSync(path.join(dir, 'report.json'), JSON.stringify({ ...baseline, generatedAt: '2026-01-01T00:00:00Z' }));
+        const delta = readCoverageDelta(path.join(dir, 'report.json'), current);
+
+        expect(delta.totals.lines.delta).toBe(2.5);
+        expect(delta.baselineGeneratedAt).toBe('2026-01-01T00:00:00Z');
+        expect(logSpy).not.toHaveBeenCalled();
+      });
+
+      test('warns and skips the delta when the baseline is missing', () => {
+        expect(readCoverageDelta(path.join(dir, 'missing.json'), current)).toBeNull();
+        expect(logSpy).toHaveBeenCalledWith(expect.stringMatching(/^::warning::Baseline report not found: /));
+      });
+
+      test.each([
+        ['invalid JSON', '{"totals": '],
+        ['another JSON document', '[1, 2]'],
+        ['a files object', '{"totals": {}, "files": {}}'],
+      ])('warns and skips the delta for %s', (_, text) => {
+        fs.writeFileSync(path.join(dir, 'report.json'), text);
+        expect(readCoverageDelta(path.join(dir, 'report.json'), current)).toBeNull();
+        expect(logSpy).toHaveBeenCalledWith(expect.stringMatching(/^::warning::Could not read baseline report /));
+      });
+    });
+  });
+
+  describe('globToRegExp', () => {
+    test.each([
+      ['src/**', 'src/a.js', true],
+      ['src/**', 'src/deep/er/a.js', true],
+      ['src/**/*.js', 'src/a.js', true],
+      ['src/**/*.js', 'src/x/y/a.js', true],
+      ['src/**/*.js', 'src/a.ts', false],
+      ['src/*.js', 'src/x/a.js', false],
+      ['**/*.test.js', 'tests/a.test.js', true],
+      ['src/?.js', 'src/a.js', true],
+      ['src/?.js', 'src/ab.js', false],
+      ['src/a.js', 'src/a-js', false],
+      ['lib/(v1)/*.js', 'lib/(v1)/a.js', true],
+    ])('%s matches %s: %s', (glob, file, expected) => {
+      expect(globToRegExp(glob).test(file)).toBe(expected);
+    });
+  });
+
+  describe('quality gate', () => {
+    const metrics = { lines: { pct: 85 }, statements: { pct: null } };
+    const files = [
+      { relPath: 'src/a.js', metrics: { lines: { pct: 95 } } },
+      { relPath: 'src/b.js', metrics: { lines: { pct: 60 } } },
+      { relPath: 'src/legacy/c.js', metrics: { lines: { pct: 20 } } },
+    ];
+
+    test('builds total, per-file and glob rules from the thresholds', () => {
+      const rules = buildGateRules({
+        totals: { lines: 85, statements: 90 },
+        perFile: 70,
+        overrides: [{ pattern: 'src/legacy/**', metric: 'lines', threshold: 10 }],
+      });
+      expect(rules).toEqual([
+        { id: 'total-lines', scope: 'total', metric: 'lines', threshold: 85 },
+        { id: 'total-statements', scope: 'total', metric: 'statements', threshold: 90 },
+        { id: 'file-lines', scope: 'file', metric: 'lines', threshold: 70 },
+        { id: 'glob-lines-src/legacy/**', scope: 'glob', pattern: 'src/legacy/**', metric: 'lines', threshold: 10 },
+      ]);
+    });
+
+    test('passes total rules at or above the threshold and never fails unmeasured metrics', () => {
+      const gate = evaluateQualityGate({ metrics, files, rules: buildGateRules({ totals: { lines: 85, statements: 90 } }) });
+      expect(gate.status).toBe('PASS');
+      expect(gate.rules.map((r) => [r.status, r.value])).toEqual([
+        ['PASS', 85],
+        ['PASS', null],
+      ]);
+    });
+
+    test('lists per-file violations, with glob overrides taking precedence', () => {
+      const rules = buildGateRules({ perFile: 70, overrides: [{ pattern: 'src/legacy/**', metric: 'lines', threshold: 10 }] });
+      const gate = evaluateQualityGate({ metrics, files, rules });
+      const [fileRule, globRule] = gate.rules;
+
+      expect(gate.status).toBe('FAIL');
+      expect(gate.violations).toEqual(['file-lines']);
+      expect(fileRule.fileCount).toBe(2);
+      expect(fileRule.value).toBe(60);
+      expect(fileRule.violations).toEqual([{ path: 'src/b.js', value: 60 }]);
+      expect(globRule.status).toBe('PASS');
+      expect(globRule.checks).toEqual([{ path: 'src/legacy/c.js', value: 20, status: 'PASS' }]);
+    });
+  });
+
+  describe('config file', () => {
+    let dir;
+    const write = (name, content) => {
+      const file = path.join(dir, name);
+      fs.writeFileSync(file, typeof content === 'string' ? content : JSON.stringify(content));
+      return file;
+    };
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'code-painting-'));
+    });
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+      for (const key of Object.keys(process.env)) if (key.startsWith('INPUT_')) delete process.env[key];
+    });
+
+    test('loads a valid config', () => {
+      const config = { title: 'Cov', thresholds: { lines: 90, overrides: { 'src/legacy/**': { lines: 10 } } }, htmlLayout: 'split' };
+      expect(loadConfig(write('.codepainting.json', config))).toEqual(config);
+    });
+
+    test('lists every invalid key', () => {
+      const file = write('.codepainting.json', {
+        thresholds: { lines: '80', branch: 70 },
+        include: 'src/**',
+        htmlLayout: 'pages',
+        pathRewrites: [{ pattern: '(', replacement: '' }],
+      });
+      let message = '';
+      try {
+        loadConfig(file);
+      } catch (err) {
+        message = err.message;
+      }
+      expect(message.split('\n')).toEqual([
+        `Invalid config file ${file}:`,
+        '  - "thresholds.lines" must be a number',
+        '  - Unknown key "thresholds.branch" (allowed: lines, branches, functions, statements, file, patch, overrides)',
+        '  - "include" must be an array of strings',
+        '  - "htmlLayout" must be one of auto, single, split',
+        expect.stringMatching(/^ {2}- "pathRewrites\[0\]\.pattern" is not a valid regular expression: /),
+      ]);
+    });
+
+    test('rejects files that are not JSON', () => {
+      expect(() => loadConfig(write('.codepainting.json', 'title: x'))).toThrow(/^Could not parse config file /);
+      expect(() => loadConfig(write('codepainting.yml', 'title: x'))).toThrow(/must be JSON; YAML config files are not supported/);
+    });
+
+    test('action inputs win over the config file, which wins over defaults', () => {
+      process.env.INPUT_COVERAGE_THRESHOLD = '95';
+      process.env.INPUT_INCLUDE = 'lib/**\nsrc/**';
+      process.env.INPUT_ANNOTATIONS = 'false';
+      const settings = resolveSettings({
+        title: 'From config',
+        thresholds: { lines: 70, branches: 60 },
+        include: ['app/**'],
+        annotations: true,
+        maxFiles: 2,
+      });
+
+      expect(settings.title).toBe('From config');
+      expect(settings.thresholds).toMatchObject({ lines: 95, branches: 60, functions: null, patch: 95 });
+      expect(settings.include).toEqual(['lib/**', 'src/**']);
+      expect(settings.annotations).toBe(false);
+      expect(settings.maxFiles).toBe(2);
+      expect(settings.maxLinesPerFile).toBe(50);
+      expect(settings.htmlLayout).toBe('auto');
+    });
+
+    test('rejects invalid action inputs before any report is built', () => {
+      process.env.INPUT_HTML_LAYOUT = 'pages';
+      expect(() => validateSettings(resolveSettings({}))).toThrow('Invalid html-layout "pages" (expected one of auto, single, split)');
+      process.env.INPUT_HTML_LAYOUT = 'Split';
+      expect(validateSettings(resolveSettings({})).htmlLayout).toBe('split');
+    });
+  });
+
+  describe('path mapping', () => {
+    test('places absolute and relative paths inside the repository', () => {
+      const mapper = createPathMapper('/work/repo');
+      expect(mapper.resolve('/work/repo/src/a.js')).toBe('src/a.js');
+      expect(mapper.resolve('./src/a.js')).toBe('src/a.js');
+      expect(mapper.resolve('a.js', 'packages/web')).toBe('packages/web/a.js');
+      expect(mapper.resolve('C:\\work\\repo\\src\\a.js')).toBeNull();
+      expect(mapper.resolve('../outside.js')).toBeNull();
+      expect(mapper.resolve('webpack://app/src/a.js')).toBeNull();
+    });
+
+    test('applies the first matching rewrite rule', () => {
+      const rules = parsePathRewrites('# CI checkout\n/ci/build/src => src\n/^webpack:\\/\\/app\\/(.*)$/ => web/$1\n');
+      const mapper = createPathMapper('/work/repo', rules);
+
+      expect(rules).toEqual([
+        { from: '/ci/build/src', to: 'src' },
+        { pattern: '^webpack:\\/\\/app\\/(.*)$', replacement: 'web/$1' },
+      ]);
+      expect(mapper.map('/ci/build/src/a.js')).toBe('src/a.js');
+      expect(mapper.map('webpack://app/src/a.js', 'ignored')).toBe('web/src/a.js');
+      expect(mapper.entries()[1]).toEqual({
+        source: 'webpack://app/src/a.js',
+        baseDir: 'ignored',
+        path: 'web/src/a.js',
+        rule: '/^webpack:\\/\\/app\\/(.*)$/ => web/$1',
+      });
+    });
+
+    test('reports unresolved paths and collisions', () => {
+      const mapper = createPathMapper(repoRoot, [{ from: '/ci/', to: '' }]);
+      parseLcov(
+        [`SF:${repoRoot}/src/a.js`, 'end_of_record', 'SF:/ci/src/a.js', 'end_of_record', 'SF:/somewhere/else/lib.js', 'end_of_record'].join('\n'),
+        mapper
+      );
+
+      expect(mapper.unresolved()).toEqual(['/somewhere/else/lib.js']);
+      expect(mapper.collisions()).toEqual([{ path: 'src/a.js', sources: [`${repoRoot}/src/a.js`, '/ci/src/a.js'] }]);
+    });
+  });
+
+  describe('merged coverage', () => {
+    const shard1 = 'SF:src/a.js\nFN:1,f\nFNDA:0,f\nDA:1,1\nDA:2,0\nBRDA:2,0,0,1\nBRDA:2,0,1,0\nBRF:2\nBRH:1\nend_of_record\n';
+    const shard2 = 'SF:src/a.js\nFN:1,f\nFNDA:2,f\nDA:1,2\nDA:2,1\nBRDA:2,0,0,1\nBRDA:2,0,1,0\nBRF:2\nBRH:1\nend_of_record\nSF:src/b.js\nDA:1,0\nend_of_record\n';
+
+    test('sums hits and unions branches and functions across shards', () => {
+      const mapper = createPathMapper(repoRoot);
+      const merged = mergeCoverageMaps(parseLcov(shard1, mapper), parseLcov(shard2, mapper));
+      const a = merged.get('src/a.js');
+
+      expect([...a.lineHits]).toEqual([[1, 3], [2, 1]]);
+      expect(a.branches.get(2).map((b) => b.taken)).toEqual([2, 0]);
+      expect([a.branchesFound, a.branchesHit]).toEqual([2, 1]);
+      expect(a.functions.get('f').hits).toBe(2);
+      expect([a.functionsFound, a.functionsHit]).toEqual([1, 1]);
+    });
+
+    test('derives totals from the merged records', () => {
+      const mapper = createPathMapper(repoRoot);
+      const totals = totalsFromRecords(mergeCoverageMaps(parseLcov(shard1, mapper), parseLcov(shard2, mapper)));
+
+      expect(totals.lines).toEqual({ total: 3, covered: 2, skipped: 0, pct: 66.67 });
+      expect(totals.branches).toEqual({ total: 2, covered: 1, skipped: 0, pct: 50 });
+      expect(totals.statements.pct).toBeNull();
+    });
+
+    test('recounts Jest summary totals over the included files', () => {
+      const entry = (covered, total) => ({ covered, total, skipped: 0, pct: (covered / total) * 100 });
+      const perFile = {
+        '/repo/src/a.js': { lines: entry(8, 10), branches: entry(1, 2), functions: entry(1, 1), statements: entry(9, 12) },
+        '/repo/src/b.js': { lines: entry(1, 4), branches: entry(0, 0), functions: entry(0, 1), statements: entry(1, 4) },
+      };
+      const included = Object.fromEntries(
+        Object.entries(perFile).filter(([k]) => isIncluded(k.replace('/repo/', ''), { include: ['src/a.js'], exclude: [] }))
+      );
+
+      expect(totalsFromSummaryFiles(perFile).lines).toEqual({ total: 14, covered: 9, skipped: 0, pct: 64.29 });
+      expect(totalsFromSummaryFiles(included)).toEqual({
+        lines: { total: 10, covered: 8, skipped: 0, pct: 80 },
+        branches: { total: 2, covered: 1, skipped: 0, pct: 50 },
+        functions: { total: 1, covered: 1, skipped: 0, pct: 100 },
+        statements: { total: 12, covered: 9, skipped: 0, pct: 75 },
+      });
+    });
+
+    test('include globs narrow and exclude globs drop files', () => {
+      const settings = { include: ['src/**'], exclude: ['**/*.test.js'] };
+      expect(isIncluded('src/a.js', settings)).toBe(true);
+      expect(isIncluded('src/a.test.js', settings)).toBe(false);
+      expect(isIncluded('scripts/a.js', settings)).toBe(false);
+      expect(isIncluded('scripts/a.js', { include: [], exclude: [] })).toBe(true);
+    });
+  });
+
+  describe('parseCobertura', () => {
+    test('reads lines, condition coverage and methods', () => {
+      const xml = `<?xml version="1.0" ?>
+<coverage line-rate="0.5">
+  <sources><source>${repoRoot}</source></sources>
+  <packages><package name="src"><classes>
+    <class name="calculator.js" filename="src/calculator.js">
+      <methods>
+        <method name="divide"><lines><line number="10" hits="0"/></lines></method>
+      </methods>
+      <lines>
+        <line number="10" hits="0"/>
+        <line number="11" hits="4" branch="true" condition-coverage="50% (1/2)"/>
+      </lines>
+    </class>
+  </classes></package></packages>
+</coverage>`;
+      const records = parseCobertura(xml, createPathMapper(repoRoot), repoRoot);
+      const calc = records.get('src/calculator.js');
+
+      expect([...calc.lineHits]).toEqual([[10, 0], [11, 4]]);
+      expect(calc.branches.get(11).map((b) => b.taken)).toEqual([1, 0]);
+      expect(calc.functions.get('divide')).toEqual({ name: 'divide', line: 10, hits: 0 });
+    });
+  });
+
+  describe('parseIstanbulJson', () => {
+    test('derives line hits from statements and keeps expression branch locations', () => {
+      const json = {
+        [`${repoRoot}/src/calculator.js`]: {
+          path: `${repoRoot}/src/calculator.js`,
+          statementMap: {
+            0: { start: { line: 2, column: 2 }, end: { line: 2, column: 20 } },
+            1: { start: { line: 2, column: 22 }, end: { line: 2, column: 30 } },
+            2: { start: { line: 3, column: 2 }, end: { line: 3, column: 12 } },
+          },
+          s: { 0: 5, 1: 0, 2: 0 },
+          fnMap: { 0: { name: 'add', decl: { start: { line: 1, column: 9 } }, loc: { start: { line: 1, column: 0 } } } },
+          f: { 0: 5 },
+          branchMap: {
+            0: {
+              type: 'cond-expr',
+              loc: { start: { line: 2, column: 9 } },
+              locations: [
+                { start: { line: 2, column: 13 }, end: { line: 2, column: 14 } },
+                { start: { line: 2, column: 17 }, end: { line: 2, column: 18 } },
+              ],
+            },
+          },
+          b: { 0: [5, 0] },
+        },
+      };
+      const records = parseIstanbulJson(json, createPathMapper(repoRoot));
+      const calc = records.get('src/calculator.js');
+
+      expect([...calc.lineHits]).toEqual([[2, 5], [3, 0]]);
+      expect(calc.statementsFound).toBe(3);
+      expect(calc.statementsHit).toBe(1);
+      expect(calc.branches.get(2).map((b) => [b.taken, b.loc.start.column])).toEqual([[5, 13], [0, 17]]);
+      expect(calc.functions.get('add')).toEqual({ name: 'add', line: 1, hits: 5 });
+    });
+  });
+
+  describe('per-test coverage', () => {
+    // Two files of jest-per-test-environment.js output: a test file with one passing
+    // and one failing test, and one whose only test passed
+    const docs = [
+      {
+        baseDir: '',
+        doc: {
+          version: 1,
+          testFile: `${repoRoot}/tests/calc.test.js`,
+          tests: [
+            { name: 'calc › adds', status: 'passed', lines: { [`${repoRoot}/src/calc.js`]: [1, 2] } },
+            { name: 'calc › divides', status: 'failed', lines: { [`${repoRoot}/src/calc.js`]: [1, 5], '/elsewhere/x.js': [1] } },
+            { name: '(outside tests)', status: 'passed', lines: { [`${repoRoot}/src/calc.js`]: [10] } },
+          ],
+        },
+      },
+      { baseDir: '', doc: { version: 1, testFile: `${repoRoot}/tests/str.test.js`, tests: [{ name: 'str', status: 'passed', lines: { 'src/str.js': [3] } }] } },
+    ];
+
+    test('indexes the tests that executed every line', () => {
+      const perTest = parsePerTestCoverage(docs, createPathMapper(repoRoot));
+
+      expect(perTest.tests).toEqual([
+        { testFile: 'tests/calc.test.js', name: 'calc › adds', status: 'passed' },
+        { testFile: 'tests/calc.test.js', name: 'calc › divides', status: 'failed' },
+        { testFile: 'tests/calc.test.js', name: '(outside tests)', status: 'passed' },
+        { testFile: 'tests/str.test.js', name: 'str', status: 'passed' },
+      ]);
+      expect([...perTest.lineTests.get('src/calc.js')]).toEqual([
+        [1, [0, 1]],
+        [2, [0]],
+        [5, [1]],
+        [10, [2]],
+      ]);
+      expect([...perTest.lineTests.keys()]).toEqual(['src/calc.js', 'src/str.js']);
+    });
+
+    test('paints a line as failing only when a failing test executed it', () => {
+      const perTest = parsePerTestCoverage(docs, createPathMapper(repoRoot));
+      const failing = failingLinesFromPerTest(perTest);
+      const f = {
+        lineHits: new Map([[1, 2], [2, 1], [5, 1], [10, 1]]),
+        failingLines: failing.get('src/calc.js'),
+        lineTests: perTest.lineTests.get('src/calc.js'),
+      };
+
+      expect([...failing]).toEqual([['src/calc.js', new Set([1, 5])]]);
+      expect([1, 2, 5, 10].map((n) => paintLine(f, n).state)).toEqual(['covered-fail', 'covered-pass', 'covered-fail', 'covered-pass']);
+      // Line 1 also ran in a passing test, line 5 only in the failing one
+      expect(isCoveredOnlyByFailingTests(f, 1, perTest.tests)).toBe(false);
+      expect(isCoveredOnlyByFailingTests(f, 5, perTest.tests)).toBe(true);
+    });
+
+    test('writes the test map used by impact analysis', () => {
+      const map = buildTestMap(parsePerTestCoverage(docs, createPathMapper(repoRoot)));
+
+      expect(map.version).toBe(1);
+      expect(map.tests).toHaveLength(4);
+      expect(map.files).toEqual({
+        'src/calc.js': { 1: [0, 1], 2: [0], 5: [1], 10: [2] },
+        'src/str.js': { 3: [3] },
+      });
+      expect(JSON.parse(JSON.stringify(map)).files['src/calc.js']['5']).toEqual([1]);
+    });
+  });
+
+  describe('workflow annotations', () => {
+    // Lines 1-3 and 7 uncovered with non-instrumented lines 4-6 between; 10 and 11 reached by the failing test only
+    const f = {
+      relPath: 'src/a.js',
+      lineHits: new Map([[1, 0], [2, 0], [3, 0], [7, 0], [8, 0], [9, 1], [10, 1], [11, 1], [20, 0]]),
+      failingLines: new Set([10, 11]),
+      lineTests: null,
+    };
+    const changed = new Map([['src/a.js', new Set([1, 2, 3, 4, 5, 6, 7, 9, 10, 11, 20])]]);
+
+    test('merges contiguous changed lines into ranges across non-instrumented lines', () => {
+      const { annotations, dropped } = buildWorkflowAnnotations({ files: [f], changedLines: changed, tests: [], maxPerLevel: 10 });
+
+      expect(annotations).toEqual([
+        { level: 'error', file: 'src/a.js', line: 10, endLine: 11, title: 'Code on failing test path', message: 'Lines 10-11 are only reached from failing tests' },
+        { level: 'warning', file: 'src/a.js', line: 1, endLine: 7, title: 'Uncovered code', message: 'Lines 1-7 are not covered by any test' },
+        { level: 'warning', file: 'src/a.js', line: 20, endLine: 20, title: 'Uncovered code', message: 'Line 20 is not covered by any test' },
+      ]);
+      expect(dropped).toEqual({ error: 0, warning: 0 });
+    });
+
+    test('names the failing tests when per-test coverage is present', () => {
+      const tests = [
+        { name: 'a › passes', status: 'passed' },
+        { name: 'a › fails', status: 'failed' },
+      ];
+      const withTests = { ...f, lineTests: new Map([[9, [0, 1]], [10, [1]], [11, [1]]]) };
+      const { annotations } = buildWorkflowAnnotations({ files: [withTests], changedLines: changed, tests, maxPerLevel: 10 });
+
+      expect(annotations[0].message).toBe('Lines 10-11 are only reached from failing tests: a › fails');
+    });
+
+    test('caps each level separately and counts the rest', () => {
+      const { annotations, dropped } = buildWorkflowAnnotations({ files: [f], changedLines: changed, tests: [], maxPerLevel: 1 });
+
+      expect(annotations.map((a) => [a.level, a.line])).toEqual([
+        ['error', 10],
+        ['warning', 1],
+      ]);
+      expect(dropped).toEqual({ error: 0, warning: 1 });
+    });
+
+    test('escapes workflow command data and properties', () => {
+      expect(workflowCommand('warning', { file: 'src/a,b.js', line: 3, endLine: undefined, title: 'A: b' }, '100% done\r\nnext :: step')).toBe(
+        '::warning file=src/a%2Cb.js,line=3,title=A%3A b::100%25 done%0D%0Anext :: step'
+      );
+      expect(workflowCommand('error', {}, 'x')).toBe('::error::x');
+    });
+  });
+
+  describe('failure frames and SARIF', () => {
+    const mapper = createPathMapper('/repo');
+    const frame = (p, line, col, fn = 'Object.<anonymous>') => `    at ${fn} (${p}:${line}:${col})`;
+    const jestJson = {
+      testResults: [
+        {
+          message: `● a › adds\n\n  boom\n${frame('/repo/src/a.js', 4, 9)}`,
+          assertionResults: [
+            {
+              fullName: 'a adds',
+              failureMessages: [
+                `Error: \u001b[31mboom\u001b[39m\n${frame('/repo/src/a.js', 4, 9)}\n${frame('/repo/node_modules/x/i.js', 1, 1)}\n    at new Promise (<anonymous>)\n    at processTicksAndRejections (node:internal/process/task_queues:95:5)`,
+              ],
+            },
+            { fullName: 'a subtracts', failureMessages: [`Error: also\n${frame('/repo/src/a.js', 4, 9)}\n    at src/b.js:2:3`] },
+            { fullName: 'a passes', failureMessages: [] },
+          ],
+        },
+        { message: `Test suite failed to run\n${frame('/repo/src/c.js', 7, 1)}`, assertionResults: [] },
+      ],
+    };
+
+    test('keeps one frame per test and location and drops the suite-level copy', () => {
+      expect(parseJestFailureFrames(jestJson, mapper)).toEqual([
+        { path: 'src/a.js', line: 4, column: 9, test: 'a adds', message: 'Error: boom' },
+        { path: 'src/a.js', line: 4, column: 9, test: 'a subtracts', message: 'Error: also' },
+        { path: 'src/b.js', line: 2, column: 3, test: 'a subtracts', message: 'Error: also' },
+        { path: 'src/c.js', line: 7, column: 1, test: null, message: 'Test suite failed to run' },
+      ]);
+    });
+
+    test('skips frames that are not file paths', () => {
+      const debris = { testResults: [{ assertionResults: [{ fullName: 't', failureMessages: ['E\n    at x (<anonymous>:1:2)\n    at y (src/a?.js:3:4)\n    at z (src/*.js:5:6)'] }] }] };
+      expect(parseJestFailureFrames(debris, mapper)).toEqual([]);
+      expect(parseJestFailureFrames(null, mapper)).toEqual([]);
+    });
+
+    test('builds SARIF results for uncovered ranges and failure frames', () => {
+      const files = [
+        {
+          relPath: 'src/a.js',
+          lineHits: new Map([[1, 1], [2, 0], [4, 0], [5, 1]]),
+          sourceLines: ['a();', 'b();', '', 'if (x) {', '}'],
+        },
+      ];
+      const failureFrames = [
+        { path: 'src/a.js', line: 5, column: 3, test: 'a adds', message: 'Error: boom' },
+        { path: 'src/c.js', line: 7, column: 0, test: null, message: '' },
+      ];
+      const sarif = buildSarifReport({ files, failureFrames, repoRoot: '/repo' });
+      const run = sarif.runs[0];
+
+      expect(sarif.version).toBe('2.1.0');
+      expect(run.tool.driver.rules.map((r) => r.id)).toEqual(['uncovered-code', 'failing-test-stack']);
+      expect(run.originalUriBaseIds.SRCROOT.uri).toBe('file:///repo/');
+      expect(
+        run.results.map((r) => [r.ruleId, r.level, r.message.text, r.locations[0].physicalLocation.artifactLocation.uri, r.locations[0].physicalLocation.region])
+      ).toEqual([
+        ['uncovered-code', 'warning', 'Lines 2-4 are not covered by any test', 'src/a.js', { startLine: 2, startColumn: 1, endLine: 4, endColumn: 9 }],
+        ['failing-test-stack', 'error', 'Failing test "a adds" passes through this line: Error: boom', 'src/a.js', { startLine: 5, startColumn: 3 }],
+        ['failing-test-stack', 'error', 'A failing test suite passes through this line', 'src/c.js', { startLine: 7 }],
+      ]);
+    });
+  });
+
+  describe('JUnit report', () => {
+    const files = [
+      { relPath: 'src/a.js', metrics: { lines: { pct: 95 } } },
+      { relPath: 'src/<b & "c">.js', metrics: { lines: { pct: 60 } } },
+    ];
+    const gate = evaluateQualityGate({
+      metrics: { lines: { pct: 85 }, statements: { pct: null } },
+      files,
+      rules: buildGateRules({ totals: { lines: 80, statements: 90 }, perFile: 70 }),
+    });
+
+    test('writes one suite per rule and one case per checked file', () => {
+      const xml = buildJUnitReport({ title: 'Web', gate, patch: null });
+
+      expect(xml).toMatch(/^<\?xml version="1.0" encoding="UTF-8"\?>\n<testsuites name="Web quality gate" tests="4" failures="1" skipped="1">/);
+      expect(xml).toContain('<testsuite name="Lines (total) &gt;= 80%" tests="1" failures="0" skipped="0">\n    <testcase classname="coverage.total-lines" name="Lines (total) &gt;= 80%" />');
+      expect(xml).toContain(
+        '<testcase classname="coverage.total-statements" name="Statements (total) &gt;= 90%">\n      <skipped message="Not measured by the coverage inputs" />'
+      );
+      expect(xml).toContain('<testsuite name="Lines (each file) &gt;= 70%" tests="2" failures="1" skipped="0">');
+      expect(xml).toContain('<testcase classname="coverage.file-lines" name="src/a.js" />');
+    });
+
+    test('escapes file names, titles and failure messages', () => {
+      const xml = buildJUnitReport({ title: `App <"main"> & 'co'`, gate, patch: null });
+
+      expect(xml).toContain('<testsuites name="App &lt;&quot;main&quot;&gt; &amp; &#39;co&#39; quality gate"');
+      expect(xml).toContain(
+        '<testcase classname="coverage.file-lines" name="src/&lt;b &amp; &quot;c&quot;&gt;.js">\n      <failure type="threshold" message="60.00% is below the required 70%">actual: 60.00%\nrequired: 70%</failure>'
+      );
+      expect(xml).not.toContain('<b &');
+    });
+
+    test('adds a patch coverage suite, skipped when no coverable lines changed', () => {
+      const failing = buildJUnitReport({ title: 'Web', gate, patch: { covered: 1, total: 4, pct: 25, threshold: 80 } });
+      expect(failing).toContain(
+        '<testsuite name="Patch coverage &gt;= 80%" tests="1" failures="1" skipped="0">\n    <testcase classname="coverage.patch" name="1 of 4 changed lines covered">\n      <failure type="threshold" message="25.00% is below the required 80%">'
+      );
+      expect(failing).toMatch(/<testsuites name="Web quality gate" tests="5" failures="2" skipped="1">/);
+
+      const empty = buildJUnitReport({ title: 'Web', gate, patch: { covered: 0, total: 0, pct: null, threshold: 80 } });
+      expect(empty).toContain('<testcase classname="coverage.patch" name="0 of 0 changed lines covered">\n      <skipped message="No coverable lines changed" />');
+    });
+  });
+
+  describe('HTML report layout', () => {
+    const makeFile = (relPath, lineCount) => {
+      const f = {
+        relPath,
+        sourceLines: Array.from({ length: lineCount }, (_, i) => `const v${i} = ${i};`),
+        lineHits: new Map(Array.from({ length: lineCount }, (_, i) => [i + 1, i % 3])),
+        branches: new Map(),
+        branchesFound: 0,
+        branchesHit: 0,
+        functions: new Map(),
+        functionsFound: 0,
+        functionsHit: 0,
+        statements: new Map(),
+        statementsFound: null,
+        statementsHit: null,
+        failingLines: new Set(),
+        lineTests: null,
+        fileCoveragePct: NaN,
+        summary: null,
+      };
+      f.metrics = fileMetrics(f);
+      return f;
+    };
+    const files = [makeFile('src/a.js', 40), makeFile('src/b c.js', 40)];
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'code-painting-html-'));
+    });
+    afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    const pages = () => fs.readdirSync(path.join(dir, 'code-painting-files')).sort();
+
+    test('auto keeps a single page within the budget', () => {
+      const result = writeHtmlReport(dir, { title: 'T', files, layout: 'auto' });
+
+      expect(result).toMatchObject({ layout: 'single', pageCount: 0, budgetBytes: 5 * 1024 * 1024 });
+      expect(result.indexBytes).toBe(fs.statSync(path.join(dir, 'index.html')).size);
+      expect(fs.readFileSync(path.join(dir, 'index.html'), 'utf8')).toContain('<span class="code">');
+      expect(fs.existsSync(path.join(dir, 'code-painting-files'))).toBe(false);
+    });
+
+    test('auto splits once the single page exceeds the budget', () => {
+      const result = writeHtmlReport(dir, { title: 'T', files, layout: 'auto', budgetBytes: 1024 });
+
+      expect(result.layout).toBe('split');
+      expect(result.singlePageBytes).toBeGreaterThan(1024);
+      expect(result.pageCount).toBe(2);
+      expect(pages()).toEqual(['0-src_a.js.html', '1-src_b_c.js.html']);
+      const index = fs.readFileSync(path.join(dir, 'index.html'), 'utf8');
+      expect(index).toContain('code-painting-files/0-src_a.js.html');
+      expect(index).not.toContain('<span class="code">');
+      expect(fs.readFileSync(path.join(dir, 'code-painting-files', '0-src_a.js.html'), 'utf8')).toContain('../index.html');
+    });
+
+    test('single and split ignore the budget', () => {
+      expect(writeHtmlReport(dir, { title: 'T', files, layout: 'single', budgetBytes: 1 }).layout).toBe('single');
+
+      const split = writeHtmlReport(dir, { title: 'T', files, layout: 'split', budgetBytes: Infinity });
+      expect(split).toMatchObject({ layout: 'split', singlePageBytes: null, pageCount: 2 });
+      expect(split.totalBytes).toBe(split.indexBytes + pages().reduce((n, p) => n + fs.statSync(path.join(dir, 'code-painting-files', p)).size, 0));
+    });
+
+    test('removes pages of an earlier run', () => {
+      writeHtmlReport(dir, { title: 'T', files, layout: 'split' });
+      writeHtmlReport(dir, { title: 'T', files: files.slice(1), layout: 'split' });
+      expect(pages()).toEqual(['0-src_b_c.js.html']);
+
+      writeHtmlReport(dir, { title: 'T', files, layout: 'single' });
+      expect(fs.existsSync(path.join(dir, 'code-painting-files'))).toBe(false);
+    });
+  });
+
+  describe('painted hunks', () => {
+    const makeFile = (relPath, { missed = [], partial = [], failing = [], lineCount = 30 } = {}) => ({
+      relPath,
+      sourceLines: Array.from({ length: lineCount }, (_, i) => `line ${i + 1}`),
+      lineHits: new Map(Array.from({ length: lineCount }, (_, i) => [i + 1, missed.includes(i + 1) ? 0 : 1])),
+      branches: new Map(partial.map((l) => [l, [{ taken: 1 }, { taken: 0 }]])),
+      functions: new Map([
+        ['alpha', { name: 'alpha', line: 1, hits: 1 }],
+        ['beta', { name: 'beta', line: 18, hits: 1 }],
+      ]),
+      failingLines: new Set(failing),
+    });
+    const f = makeFile('src/a.js', { missed: [5, 9], partial: [20], failing: [29] });
+
+    test('pads missed, partial and failing lines with context and merges overlapping windows', () => {
+      expect(paintingHunks(f, { context: 3 })).toEqual({
+        hunks: [
+          { start: 2, end: 12, header: '@@ line 2-12 @@ alpha' },
+          { start: 17, end: 23, header: '@@ line 17-23 @@ beta' },
+          { start: 26, end: 30, header: '@@ line 26-30 @@ beta' },
+        ],
+        missedCount: 2,
+        partialCount: 1,
+        failingCount: 1,
+        shownLines: 23,
+        totalLines: 23,
+      });
+    });
+
+    test('seeds a hunk from partially covered lines alone', () => {
+      expect(paintingHunks(makeFile('src/p.js', { partial: [1] }), { context: 2 }).hunks).toEqual([{ start: 1, end: 3, header: '@@ line 1-3 @@ alpha' }]);
+      expect(paintingHunks(makeFile('src/ok.js')).hunks).toEqual([]);
+    });
+
+    test('stops at maxLines, cutting the last hunk short', () => {
+      const { hunks, shownLines, totalLines } = paintingHunks(f, { context: 3, maxLines: 15 });
+
+      expect(hunks).toEqual([
+        { start: 2, end: 12, header: '@@ line 2-12 @@ alpha' },
+        { start: 17, end: 20, header: '@@ line 17-20 @@ beta' },
+      ]);
+      expect([shownLines, totalLines]).toEqual([15, 23]);
+    });
+
+    test('selects files with painted lines, most missed lines first, up to maxFiles', () => {
+      const files = [
+        makeFile('src/clean.js'),
+        makeFile('src/one.js', { missed: [3] }),
+        makeFile('src/fail.js', { failing: [3] }),
+        makeFile('src/two.js', { missed: [3, 10] }),
+      ];
+      const { shown, moreFiles } = selectPaintedFiles(files, { maxFiles: 2, maxLinesPerFile: 4, context: 1 });
+
+      expect(shown.map((p) => p.f.relPath)).toEqual(['src/two.js', 'src/one.js']);
+      expect(shown[0].hunks.map((h) => [h.start, h.end])).toEqual([
+        [2, 4],
+        [9, 9],
+      ]);
+      expect(moreFiles).toBe(1);
+    });
+  });
+
+  describe('fitToLimit', () => {
+    test('keeps the full text when it fits', () => {
+      const build = jest.fn(() => 'short');
+      expect(fitToLimit(build, { maxFiles: 5 })).toEqual({ text: 'short', truncated: false });
+      expect(build).toHaveBeenCalledTimes(1);
+      expect(build).toHaveBeenCalledWith({ maxFiles: 5, includeCodePainting: true, maxRows: Infinity, truncated: false });
+    });
+
+    test('paints fewer files, then drops painting and rows until the text fits', () => {
+      const build = ({ maxFiles, includeCodePainting, maxRows, truncated }) =>
+        'x'.repeat(maxFiles * 40 + (includeCodePainting ? 0 : 5) + (maxRows === Infinity ? 50 : maxRows)) + (truncated ? '!' : '');
+
+      expect(fitToLimit(build, { maxFiles: 3, limit: 100 })).toEqual({ text: `${'x'.repeat(90)}!`, truncated: true });
+      expect(fitToLimit(build, { maxFiles: 3, limit: 40 })).toEqual({ text: `${'x'.repeat(30)}!`, truncated: true });
+    });
+
+    test('hard-cuts the last step to the limit', () => {
+      const { text, truncated } = fitToLimit(() => 'y'.repeat(GITHUB_TEXT_LIMIT * 2), { maxFiles: 2 });
+      expect(truncated).toBe(true);
+      expect(text).toHaveLength(GITHUB_TEXT_LIMIT);
+      expect(text).toMatch(/truncated to fit GitHub's size limit/);
+    });
+  });
+
+  describe('check run', () => {
+    const env = { ...process.env };
+    let dir;
+    let logSpy;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'code-painting-check-'));
+      delete process.env.GITHUB_EVENT_PATH;
+      delete process.env.GITHUB_SHA;
+      logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+    afterEach(() => {
+      process.env = { ...env };
+      logSpy.mockRestore();
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    // Records requests and answers them from `replies` (a value, or an Error to throw)
+    const mockClient = (replies) => {
+      const calls = [];
+      return {
+        calls,
+        async request(method, url, body) {
+          calls.push({ method, url, body });
+          const reply = replies.shift();
+          if (reply instanceof Error) throw reply;
+          return reply;
+        },
+      };
+    };
+    const annotations = Array.from({ length: 120 }, (_, i) => ({ path: 'src/a.js', start_line: i + 1, end_line: i + 1, annotation_level: 'warning', message: 'm' }));
+    const args = (client) => ({ client, owner: 'o', repo: 'r', name: 'Coverage', headSha: 'abc', conclusion: 'failure', output: { title: 't', summary: 's', text: 'x' }, annotations });
+
+    test('prefers the pull request head over GITHUB_SHA', () => {
+      process.env.GITHUB_SHA = 'merge0';
+      expect(checkRunHeadSha()).toBe('merge0');
+
+      process.env.GITHUB_EVENT_PATH = path.join(dir, 'event.json');
+      fs.writeFileSync(process.env.GITHUB_EVENT_PATH, JSON.stringify({ pull_request: { head: { sha: 'head1' } } }));
+      expect(checkRunHeadSha()).toBe('head1');
+
+      fs.writeFileSync(process.env.GITHUB_EVENT_PATH, JSON.stringify({ ref: 'refs/heads/main' }));
+      expect(checkRunHeadSha()).toBe('merge0');
+
+      delete process.env.GITHUB_SHA;
+      expect(() => checkRunHeadSha()).toThrow(/needs GITHUB_SHA or a pull_request event/);
+    });
+
+    test('concludes success only when the quality gate and patch coverage pass', () => {
+      expect(checkRunConclusion({ status: 'PASS' }, null)).toBe('success');
+      expect(checkRunConclusion({ status: 'PASS' }, { status: 'PASS' })).toBe('success');
+      expect(checkRunConclusion({ status: 'PASS' }, { status: 'FAIL' })).toBe('failure');
+      expect(checkRunConclusion({ status: 'FAIL' }, null)).toBe('failure');
+    });
+
+    test('creates a completed run and appends annotations in batches of 50', async () => {
+      const client = mockClient([{ id: 9, html_url: 'https://github.com/o/r/runs/9' }, {}, {}]);
+
+      expect(await createCheckRun(args(client))).toEqual({ id: 9, html_url: 'https://github.com/o/r/runs/9' });
+      expect(client.calls.map((c) => [c.method, c.url, c.body.output.annotations.length])).toEqual([
+        ['POST', '/repos/o/r/check-runs', 50],
+        ['PATCH', '/repos/o/r/check-runs/9', 50],
+        ['PATCH', '/repos/o/r/check-runs/9', 20],
+      ]);
+      expect(client.calls[0].body).toMatchObject({ name: 'Coverage', head_sha: 'abc', status: 'completed', conclusion: 'failure', output: { title: 't', summary: 's', text: 'x' } });
+      expect(client.calls[2].body.output.annotations[0].start_line).toBe(101);
+    });
+
+    test('warns and returns null when the run cannot be created', async () => {
+      const client = mockClient([new Error('GitHub API error 403 Forbidden: Resource not accessible by integration')]);
+
+      expect(await createCheckRun(args(client))).toBeNull();
+      expect(client.calls).toHaveLength(1);
+      expect(logSpy).toHaveBeenCalledWith(expect.stringMatching(/^::warning::Could not create check run "Coverage", see the step summary instead: GitHub API error 403/));
+    });
+
+    test('keeps the run when appending annotations fails', async () => {
+      const client = mockClient([{ id: 9 }, new Error('boom')]);
+
+      expect(await createCheckRun(args(client))).toEqual({ id: 9 });
+      expect(client.calls).toHaveLength(2);
+      expect(logSpy).toHaveBeenCalledWith('::warning::Check run "Coverage" is missing some annotations: boom');
+    });
+  });
+});